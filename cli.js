@@ -0,0 +1,149 @@
+/**
+ * The `tools` and `call` subcommands: use the server from a terminal or a
+ * script, without an MCP host.
+ *
+ *   npx @robosystems/mcp tools [--json]
+ *   npx @robosystems/mcp call <tool> [--args '<json>'] [--json]
+ *
+ * Both run against a session — the proxy's (createProxyClient) or the legacy
+ * bridge's — with `initialize()`, `listTools()`,
+ * `callTool(name, args, { progressToken })` and `close()`. Results go to
+ * stdout, everything else to stderr, so the output can be piped.
+ */
+
+/**
+ * Parse `--args`: a JSON object of tool arguments, `{}` when absent. Throws
+ * with a usage message otherwise.
+ */
+export function parseToolArgs(raw) {
+  if (raw === null || raw === undefined) return {}
+  let args
+  try {
+    args = JSON.parse(raw)
+  } catch (error) {
+    throw new Error(`--args is not valid JSON: ${error.message}`)
+  }
+  if (!args || typeof args !== 'object' || Array.isArray(args)) {
+    throw new Error(
+      '--args must be a JSON object, e.g. \'{"query": "MATCH (n) RETURN n LIMIT 5"}\''
+    )
+  }
+  return args
+}
+
+// One line per argument: name, type, whether it is required, description
+function describeArguments(inputSchema) {
+  const properties = inputSchema?.properties || {}
+  const required = new Set(inputSchema?.required || [])
+  const names = Object.keys(properties)
+  if (names.length === 0) return ['  (no arguments)']
+  const width = Math.max(...names.map((name) => name.length))
+  return names.map((name) => {
+    const property = properties[name]
+    const type = property.type ? [property.type].flat().join('|') : 'any'
+    const flags = required.has(name) ? `${type}, required` : type
+    const description = property.description ? `  ${property.description}` : ''
+    return `  ${name.padEnd(width)}  (${flags})${description}`
+  })
+}
+
+/**
+ * Render a tool list for the terminal: each tool's name and description,
+ * then its arguments from the input schema.
+ */
+export function formatTools(tools) {
+  return tools
+    .map((tool) =>
+      [tool.name, ...(tool.description ? [`  ${tool.description.trim()}`] : []), ''].concat(
+        describeArguments(tool.inputSchema)
+      )
+    )
+    .map((lines) => lines.join('\n'))
+    .join('\n\n')
+}
+
+/**
+ * Render a tool result's content for the terminal. Text that is JSON is
+ * pretty-printed; binary content is summarized rather than dumped.
+ */
+export function formatResult(result) {
+  const parts = (result?.content || []).map((item) => {
+    if (item.type === 'text') {
+      try {
+        return JSON.stringify(JSON.parse(item.text), null, 2)
+      } catch {
+        return item.text
+      }
+    }
+    if (item.type === 'image' || item.type === 'audio') {
+      return `[${item.type} ${item.mimeType}, ${Buffer.byteLength(item.data || '', 'base64')} bytes]`
+    }
+    if (item.type === 'resource') {
+      return item.resource?.text ?? `[resource ${item.resource?.uri}]`
+    }
+    if (item.type === 'resource_link') return `[resource ${item.uri}]`
+    return JSON.stringify(item, null, 2)
+  })
+  if (parts.length === 0 && result?.structuredContent) {
+    parts.push(JSON.stringify(result.structuredContent, null, 2))
+  }
+  return parts.join('\n\n')
+}
+
+// Progress as "[3/10] message" on stderr
+function formatProgress({ progress, total, message }) {
+  const count = total ? `${progress}/${total}` : `${progress}`
+  return `[${count}]${message ? ` ${message}` : ''}`
+}
+
+/**
+ * `tools`: print the tool list (`json` for the raw list with full input
+ * schemas). Returns the process exit code.
+ */
+export async function runToolsCommand({ session, json = false, print = console.log }) {
+  try {
+    await session.initialize()
+    const tools = await session.listTools()
+    print(json ? JSON.stringify(tools, null, 2) : formatTools(tools))
+    return 0
+  } catch (error) {
+    console.error(`Listing tools failed: ${error.message}`)
+    return 1
+  } finally {
+    await session.close()
+  }
+}
+
+/**
+ * `call`: run one tool and print its result (`json` for the raw result).
+ * A JSON-RPC error or a result flagged `isError` exits with 1.
+ */
+export async function runCallCommand({ session, name, args, json = false, print = console.log }) {
+  try {
+    await session.initialize()
+    const result = await session.callTool(name, args, { progressToken: 1 })
+    if (json) {
+      print(JSON.stringify(result, null, 2))
+    } else if (result?.isError) {
+      console.error(formatResult(result))
+    } else {
+      print(formatResult(result))
+    }
+    return result?.isError ? 1 : 0
+  } catch (error) {
+    console.error(`Calling ${name} failed: ${error.message}`)
+    return 1
+  } finally {
+    await session.close()
+  }
+}
+
+/**
+ * Notification handler for a CLI session: progress goes to stderr, the rest
+ * is ignored.
+ */
+export function onCliNotification(message) {
+  if (message.method === 'notifications/progress') {
+    console.error(formatProgress(message.params || {}))
+  }
+}
@@ -0,0 +1,139 @@
+/**
+ * Tests for the tools and call subcommands
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { formatResult, formatTools, parseToolArgs, runCallCommand, runToolsCommand } from './cli.js'
+
+const TOOLS = [
+  {
+    name: 'execute-cypher',
+    description: 'Run a read-only Cypher query',
+    inputSchema: {
+      type: 'object',
+      properties: {
+        query: { type: 'string', description: 'The query' },
+        parameters: { type: 'object' },
+      },
+      required: ['query'],
+    },
+  },
+  { name: 'get-graph-info', inputSchema: { type: 'object' } },
+]
+
+function fakeSession(overrides = {}) {
+  return {
+    initialize: vi.fn(async () => {}),
+    listTools: vi.fn(async () => TOOLS),
+    callTool: vi.fn(async () => ({ content: [{ type: 'text', text: '{"rows":1}' }] })),
+    close: vi.fn(async () => {}),
+    ...overrides,
+  }
+}
+
+describe('cli', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+  })
+
+  describe('parseToolArgs', () => {
+    it('accepts a JSON object and defaults to no arguments', () => {
+      expect(parseToolArgs('{"query":"MATCH (n) RETURN n"}')).toEqual({
+        query: 'MATCH (n) RETURN n',
+      })
+      expect(parseToolArgs(null)).toEqual({})
+    })
+
+    it('rejects invalid JSON and non-objects', () => {
+      expect(() => parseToolArgs('{query')).toThrow(/--args is not valid JSON/)
+      expect(() => parseToolArgs('[1]')).toThrow(/--args must be a JSON object/)
+    })
+  })
+
+  describe('formatTools', () => {
+    it('lists each tool with its arguments from the schema', () => {
+      expect(formatTools(TOOLS)).toBe(
+        [
+          'execute-cypher',
+          '  Run a read-only Cypher query',
+          '',
+          '  query       (string, required)  The query',
+          '  parameters  (object)',
+          '',
+          'get-graph-info',
+          '',
+          '  (no arguments)',
+        ].join('\n')
+      )
+    })
+  })
+
+  describe('formatResult', () => {
+    it('pretty-prints JSON text and summarizes binary content', () => {
+      const result = {
+        content: [
+          { type: 'text', text: '{"a":1}' },
+          { type: 'text', text: 'plain' },
+          { type: 'image', mimeType: 'image/png', data: 'AAAA' },
+        ],
+      }
+
+      expect(formatResult(result)).toBe('{\n  "a": 1\n}\n\nplain\n\n[image image/png, 3 bytes]')
+    })
+  })
+
+  describe('commands', () => {
+    it('tools prints the list and ends the session', async () => {
+      const session = fakeSession()
+      const print = vi.fn()
+
+      expect(await runToolsCommand({ session, json: true, print })).toBe(0)
+      expect(JSON.parse(print.mock.calls[0][0])).toEqual(TOOLS)
+      expect(session.initialize).toHaveBeenCalled()
+      expect(session.close).toHaveBeenCalled()
+    })
+
+    it('call passes the arguments with a progress token and prints the result', async () => {
+      const session = fakeSession()
+      const print = vi.fn()
+
+      const code = await runCallCommand({
+        session,
+        name: 'execute-cypher',
+        args: { query: 'RETURN 1' },
+        print,
+      })
+
+      expect(code).toBe(0)
+      expect(session.callTool).toHaveBeenCalledWith(
+        'execute-cypher',
+        { query: 'RETURN 1' },
+        { progressToken: 1 }
+      )
+      expect(print).toHaveBeenCalledWith('{\n  "rows": 1\n}')
+    })
+
+    it('call exits with 1 on a tool error or a protocol error', async () => {
+      const print = vi.fn()
+      const failing = fakeSession({
+        callTool: async () => ({ isError: true, content: [{ type: 'text', text: 'bad query' }] }),
+      })
+      const rejecting = fakeSession({
+        callTool: async () => {
+          throw new Error('Unknown tool: nope')
+        },
+      })
+
+      expect(await runCallCommand({ session: failing, name: 'x', args: {}, print })).toBe(1)
+      expect(await runCallCommand({ session: rejecting, name: 'nope', args: {}, print })).toBe(1)
+      expect(print).not.toHaveBeenCalled()
+      expect(console.error).toHaveBeenCalledWith('bad query')
+      expect(console.error).toHaveBeenCalledWith('Calling nope failed: Unknown tool: nope')
+      expect(rejecting.close).toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,142 @@
+/**
+ * Named profiles from a config file.
+ *
+ * Switching between graphs and environments (the `sec` graph, a company
+ * `kg…` graph, a localhost stack) otherwise means editing the host's MCP
+ * config. Profiles live in `~/.config/robosystems-mcp/config.json` (or the
+ * file named by ROBOSYSTEMS_CONFIG):
+ *
+ *   {
+ *     "defaultProfile": "sec",
+ *     "profiles": {
+ *       "sec": { "graphId": "sec" },
+ *       "local": {
+ *         "mcpUrl": "http://localhost:8000/v1/graphs/kg123/mcp",
+ *         "apiKey": "env:LOCAL_ROBOSYSTEMS_KEY",
+ *         "requestTimeout": 600
+ *       }
+ *     }
+ *   }
+ *
+ * The profile is chosen by `--profile`, then ROBOSYSTEMS_PROFILE, then
+ * `defaultProfile`. Every field can still be overridden by its environment
+ * variable, so an existing env-only setup keeps working unchanged.
+ */
+
+import { readFileSync } from 'fs'
+import { homedir } from 'os'
+import { join } from 'path'
+import { DEFAULT_PROFILE } from './credentials.js'
+
+export const DEFAULT_CONFIG_PATH = join(homedir(), '.config', 'robosystems-mcp', 'config.json')
+
+// Profile fields and the environment variable that overrides each.
+// Timeouts are in seconds, like their variables.
+const PROFILE_FIELDS = {
+  apiUrl: 'ROBOSYSTEMS_API_URL',
+  graphId: 'ROBOSYSTEMS_GRAPH_ID',
+  // A list in the file, comma-separated in the variable
+  graphIds: 'ROBOSYSTEMS_GRAPH_IDS',
+  mcpUrl: 'ROBOSYSTEMS_MCP_URL',
+  mode: 'ROBOSYSTEMS_MCP_MODE',
+  requestTimeout: 'ROBOSYSTEMS_REQUEST_TIMEOUT',
+  idleTimeout: 'ROBOSYSTEMS_IDLE_TIMEOUT',
+  // Tool name patterns, lists in the file and comma-separated in the variables
+  allowTools: 'ROBOSYSTEMS_ALLOW_TOOLS',
+  denyTools: 'ROBOSYSTEMS_DENY_TOOLS',
+  // true in the file; true, 1, yes or on in the variable
+  readOnly: 'ROBOSYSTEMS_READ_ONLY',
+  // Legacy mode only: serve the bridge over Streamable HTTP on this port
+  httpPort: 'ROBOSYSTEMS_HTTP_PORT',
+}
+const MODES = ['proxy', 'legacy', 'bridge']
+
+/**
+ * Read and check the config file. A missing file is an empty config; a file
+ * that is not valid JSON, or a profile that is not an object, is an error
+ * naming the file, since silently ignoring it would connect somewhere else.
+ */
+export function loadConfig(path = DEFAULT_CONFIG_PATH) {
+  let text
+  try {
+    text = readFileSync(path, 'utf8')
+  } catch (error) {
+    if (error.code === 'ENOENT') return { path, profiles: {} }
+    throw new Error(`Cannot read ${path}: ${error.message}`)
+  }
+
+  let parsed
+  try {
+    parsed = JSON.parse(text)
+  } catch (error) {
+    throw new Error(`${path} is not valid JSON: ${error.message}`)
+  }
+  const profiles = parsed?.profiles ?? {}
+  if (typeof profiles !== 'object' || Array.isArray(profiles)) {
+    throw new Error(`${path}: "profiles" must be an object of named profiles`)
+  }
+  for (const [name, profile] of Object.entries(profiles)) {
+    if (!profile || typeof profile !== 'object' || Array.isArray(profile)) {
+      throw new Error(`${path}: profile "${name}" must be an object`)
+    }
+    for (const field of Object.keys(profile)) {
+      if (field !== 'apiKey' && !(field in PROFILE_FIELDS)) {
+        console.error(`Warning: ${path}: profile "${name}" has unknown field "${field}"`)
+      }
+    }
+    if (profile.mode !== undefined && !MODES.includes(profile.mode)) {
+      throw new Error(
+        `${path}: profile "${name}" has mode "${profile.mode}" (expected proxy or legacy)`
+      )
+    }
+  }
+  return { path, defaultProfile: parsed?.defaultProfile, profiles }
+}
+
+/**
+ * The settings for the selected profile, with environment variables layered
+ * on top field by field. `profile` is the name from `--profile` (or
+ * ROBOSYSTEMS_PROFILE), if any.
+ */
+export function resolveProfile({ config, profile, env = process.env }) {
+  const name = profile || config.defaultProfile || DEFAULT_PROFILE
+  const fromFile = config.profiles[name]
+  if (!fromFile && (profile || config.defaultProfile) && Object.keys(config.profiles).length > 0) {
+    // Could still be a profile that only has a `login` key, so not fatal
+    console.error(`Warning: profile "${name}" is not defined in ${config.path}`)
+  }
+
+  const settings = { profile: name, apiKey: fromFile?.apiKey }
+  for (const [field, variable] of Object.entries(PROFILE_FIELDS)) {
+    const value = env[variable]
+    settings[field] = value !== undefined && value !== '' ? value : fromFile?.[field]
+  }
+  return settings
+}
+
+/**
+ * The API key for these settings: ROBOSYSTEMS_API_KEY if set, otherwise the
+ * profile's `apiKey` reference — `env:NAME` for another environment
+ * variable, `login` (or `login:<profile>`) for a key stored by `login` —
+ * and failing both, the key `login` stored for this profile. Keys themselves
+ * never belong in the config file, so a literal value is refused.
+ */
+export function resolveApiKey({ settings, credentials, apiUrl, env = process.env }) {
+  if (env.ROBOSYSTEMS_API_KEY) return env.ROBOSYSTEMS_API_KEY
+
+  const reference = settings.apiKey
+  if (reference === undefined || reference === null) {
+    return credentials.get(settings.profile, apiUrl) || undefined
+  }
+  if (typeof reference === 'string' && reference.startsWith('env:')) {
+    return env[reference.slice(4)] || undefined
+  }
+  if (reference === 'login' || (typeof reference === 'string' && reference.startsWith('login:'))) {
+    const loginProfile = reference === 'login' ? settings.profile : reference.slice(6)
+    return credentials.get(loginProfile, apiUrl) || undefined
+  }
+  throw new Error(
+    `profile "${settings.profile}": apiKey must be "env:<VARIABLE>" or "login[:<profile>]"; ` +
+      'store the key itself with `npx @robosystems/mcp login`'
+  )
+}
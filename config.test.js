@@ -0,0 +1,164 @@
+// @vitest-environment node
+
+/**
+ * Tests for config-file profiles
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, rmSync, writeFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { loadConfig, resolveApiKey, resolveProfile } from './config.js'
+
+const CONFIG = {
+  defaultProfile: 'sec',
+  profiles: {
+    sec: { graphId: 'sec', apiKey: 'env:SEC_KEY' },
+    local: {
+      mcpUrl: 'http://localhost:8000/v1/graphs/kg123/mcp',
+      mode: 'proxy',
+      requestTimeout: 600,
+      apiKey: 'login:dev',
+    },
+  },
+}
+
+describe('config profiles', () => {
+  let dir
+
+  const writeConfig = (content) => {
+    const path = join(dir, 'config.json')
+    writeFileSync(path, typeof content === 'string' ? content : JSON.stringify(content))
+    return path
+  }
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'robosystems-config-'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('loadConfig', () => {
+    it('treats a missing file as an empty config', () => {
+      expect(loadConfig(join(dir, 'absent.json'))).toEqual({
+        path: join(dir, 'absent.json'),
+        profiles: {},
+      })
+    })
+
+    it('fails on invalid JSON or an invalid mode, naming the file', () => {
+      expect(() => loadConfig(writeConfig('{ nope'))).toThrow(/config\.json is not valid JSON/)
+      expect(() => loadConfig(writeConfig({ profiles: { x: { mode: 'turbo' } } }))).toThrow(
+        /profile "x" has mode "turbo"/
+      )
+    })
+
+    it('warns about unknown profile fields', () => {
+      loadConfig(writeConfig({ profiles: { x: { grapId: 'kg1' } } }))
+
+      expect(console.error).toHaveBeenCalledWith(expect.stringContaining('unknown field "grapId"'))
+    })
+  })
+
+  describe('resolveProfile', () => {
+    it('uses the default profile when none is selected', () => {
+      const config = loadConfig(writeConfig(CONFIG))
+
+      expect(resolveProfile({ config, env: {} })).toMatchObject({
+        profile: 'sec',
+        graphId: 'sec',
+        mcpUrl: undefined,
+      })
+    })
+
+    it('lets environment variables override individual fields', () => {
+      const config = loadConfig(writeConfig(CONFIG))
+
+      const settings = resolveProfile({
+        config,
+        profile: 'local',
+        env: { ROBOSYSTEMS_IDLE_TIMEOUT: '30', ROBOSYSTEMS_MCP_MODE: '' },
+      })
+
+      expect(settings).toMatchObject({
+        profile: 'local',
+        mcpUrl: 'http://localhost:8000/v1/graphs/kg123/mcp',
+        mode: 'proxy',
+        requestTimeout: 600,
+        idleTimeout: '30',
+      })
+    })
+
+    it('behaves exactly like the env-only setup without a config file', () => {
+      const config = loadConfig(join(dir, 'absent.json'))
+
+      expect(
+        resolveProfile({ config, env: { ROBOSYSTEMS_GRAPH_ID: 'kg9', ROBOSYSTEMS_API_URL: 'x' } })
+      ).toMatchObject({ profile: 'default', graphId: 'kg9', apiUrl: 'x' })
+      expect(console.error).not.toHaveBeenCalled()
+    })
+
+    it('warns when the selected profile is not in the file', () => {
+      const config = loadConfig(writeConfig(CONFIG))
+
+      expect(resolveProfile({ config, profile: 'prod', env: {} }).profile).toBe('prod')
+      expect(console.error).toHaveBeenCalledWith(
+        expect.stringContaining('profile "prod" is not defined')
+      )
+    })
+  })
+
+  describe('resolveApiKey', () => {
+    const credentials = {
+      get: vi.fn((profile) => ({ sec: 'rfs-login-sec', dev: 'rfs-login-dev' })[profile] ?? null),
+    }
+    const API = 'https://api.robosystems.ai'
+
+    it('prefers ROBOSYSTEMS_API_KEY over any reference', () => {
+      const settings = { profile: 'sec', apiKey: 'env:SEC_KEY' }
+      const env = { ROBOSYSTEMS_API_KEY: 'rfs-env', SEC_KEY: 'rfs-sec' }
+
+      expect(resolveApiKey({ settings, credentials, apiUrl: API, env })).toBe('rfs-env')
+    })
+
+    it('follows env: and login: references', () => {
+      expect(
+        resolveApiKey({
+          settings: { profile: 'sec', apiKey: 'env:SEC_KEY' },
+          credentials,
+          apiUrl: API,
+          env: { SEC_KEY: 'rfs-sec' },
+        })
+      ).toBe('rfs-sec')
+      expect(
+        resolveApiKey({
+          settings: { profile: 'local', apiKey: 'login:dev' },
+          credentials,
+          apiUrl: API,
+          env: {},
+        })
+      ).toBe('rfs-login-dev')
+    })
+
+    it("falls back to the profile's own login key", () => {
+      expect(
+        resolveApiKey({ settings: { profile: 'sec' }, credentials, apiUrl: API, env: {} })
+      ).toBe('rfs-login-sec')
+    })
+
+    it('refuses a key written into the config file', () => {
+      expect(() =>
+        resolveApiKey({
+          settings: { profile: 'sec', apiKey: 'rfs-plaintext' },
+          credentials,
+          apiUrl: API,
+          env: {},
+        })
+      ).toThrow(/apiKey must be "env:<VARIABLE>" or "login\[:<profile>\]"/)
+    })
+  })
+})
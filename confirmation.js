@@ -0,0 +1,67 @@
+/**
+ * Asking the user before a tool call deletes data.
+ *
+ * When the host declares the elicitation capability, deleting a workspace or
+ * subgraph is held until the user answers an `elicitation/create` form
+ * describing what will go: the legacy bridge asks through its SDK server,
+ * the proxy writes the request to the host itself. Only an accepted form
+ * with the box ticked lets the call through; declining, cancelling or not
+ * answering within CONFIRM_TIMEOUT_MS leaves the data alone. Hosts without
+ * elicitation see no change.
+ */
+
+// Tools whose calls wait for confirmation
+export const CONFIRMED_TOOLS = ['delete-workspace', 'delete-subgraph']
+// A person has to read the form, so allow far longer than a request
+export const CONFIRM_TIMEOUT_MS = 10 * 60 * 1000
+
+const CONFIRM_SCHEMA = {
+  type: 'object',
+  properties: {
+    confirm: {
+      type: 'boolean',
+      title: 'Delete',
+      description: 'Tick to delete permanently',
+      default: false,
+    },
+  },
+  required: ['confirm'],
+}
+
+/**
+ * Whether initialize `capabilities` allow form elicitation (an empty
+ * `elicitation` object predates the form/url split and means forms).
+ */
+export function hostCanConfirm(capabilities) {
+  const elicitation = capabilities?.elicitation
+  if (!elicitation || typeof elicitation !== 'object') return false
+  return Object.keys(elicitation).length === 0 || Boolean(elicitation.form)
+}
+
+/**
+ * The question for a deletion: `kind` ("workspace" or "subgraph"), its `id`
+ * and `name` when known, the `parent` graph, and whether it is `active`.
+ */
+export function describeDeletion({ kind, id, name, parent, active = false, force = false }) {
+  const label = name && name !== id ? `"${name}" (${id})` : id
+  return [
+    `Delete ${kind} ${label}${parent ? ` of graph ${parent}` : ''}?`,
+    ...(active ? ['It is the active workspace; the session will switch back to the parent.'] : []),
+    `This permanently deletes it and all of its data${force ? ', even if it is not empty' : ''}.`,
+  ].join(' ')
+}
+
+// elicitation/create params for `message`
+export function confirmationRequest(message) {
+  return { message, requestedSchema: CONFIRM_SCHEMA }
+}
+
+// Whether an elicitation result is the user's go-ahead
+export function isConfirmed(result) {
+  return result?.action === 'accept' && result.content?.confirm === true
+}
+
+// The tool error returned when the user did not confirm
+export function notConfirmed(kind, id) {
+  return `Not deleted: the user did not confirm deleting ${kind} ${id}. Nothing was changed.`
+}
@@ -0,0 +1,68 @@
+/**
+ * Tests for confirming deletions with the user
+ */
+
+import { describe, it, expect } from 'vitest'
+import {
+  confirmationRequest,
+  describeDeletion,
+  hostCanConfirm,
+  isConfirmed,
+  notConfirmed,
+} from './confirmation.js'
+
+describe('hostCanConfirm', () => {
+  it('accepts form elicitation, including the older empty capability', () => {
+    expect(hostCanConfirm({ elicitation: {} })).toBe(true)
+    expect(hostCanConfirm({ elicitation: { form: {} } })).toBe(true)
+  })
+
+  it('rejects hosts without forms', () => {
+    expect(hostCanConfirm({})).toBe(false)
+    expect(hostCanConfirm(undefined)).toBe(false)
+    expect(hostCanConfirm({ elicitation: { url: {} } })).toBe(false)
+  })
+})
+
+describe('describeDeletion', () => {
+  it('names what goes, where from, and whether it is active', () => {
+    expect(
+      describeDeletion({
+        kind: 'workspace',
+        id: 'kg1_dev',
+        name: 'dev',
+        parent: 'kg1',
+        active: true,
+        force: true,
+      })
+    ).toBe(
+      'Delete workspace "dev" (kg1_dev) of graph kg1? It is the active workspace; the session ' +
+        'will switch back to the parent. This permanently deletes it and all of its data, even ' +
+        'if it is not empty.'
+    )
+    expect(describeDeletion({ kind: 'subgraph', id: 'kg1_dev' })).toBe(
+      'Delete subgraph kg1_dev? This permanently deletes it and all of its data.'
+    )
+  })
+})
+
+describe('isConfirmed', () => {
+  it('takes only an accepted form with the box ticked as a yes', () => {
+    expect(isConfirmed({ action: 'accept', content: { confirm: true } })).toBe(true)
+    expect(isConfirmed({ action: 'accept', content: { confirm: false } })).toBe(false)
+    expect(isConfirmed({ action: 'accept' })).toBe(false)
+    expect(isConfirmed({ action: 'decline' })).toBe(false)
+    expect(isConfirmed({ action: 'cancel' })).toBe(false)
+    expect(isConfirmed(undefined)).toBe(false)
+  })
+})
+
+describe('confirmationRequest', () => {
+  it('asks for a single required checkbox', () => {
+    const request = confirmationRequest('Delete?')
+
+    expect(request.message).toBe('Delete?')
+    expect(request.requestedSchema.properties.confirm.type).toBe('boolean')
+    expect(notConfirmed('subgraph', 'kg1_dev')).toMatch(/^Not deleted/)
+  })
+})
@@ -0,0 +1,155 @@
+/**
+ * API key storage for the `login` / `logout` subcommands.
+ *
+ * Keeps the key out of the MCP host's config file (where it would sit in
+ * plaintext next to every other server's settings): `login` writes it to a
+ * credentials file readable only by the owner, keyed by profile and API URL,
+ * and both modes fall back to it when ROBOSYSTEMS_API_KEY is not set.
+ */
+
+import { statSync } from 'fs'
+import { homedir } from 'os'
+import { join } from 'path'
+import { createTokenStore } from './oauth.js'
+
+export const DEFAULT_CREDENTIALS_PATH = join(
+  homedir(),
+  '.config',
+  'robosystems-mcp',
+  'credentials.json'
+)
+export const DEFAULT_PROFILE = 'default'
+
+// Credentials are looked up by API origin, so `https://api.robosystems.ai`
+// and `https://api.robosystems.ai/` (or a full MCP URL on that host) agree.
+function normalizeApiUrl(apiUrl) {
+  try {
+    return new URL(apiUrl).origin
+  } catch {
+    return String(apiUrl).replace(/\/+$/, '')
+  }
+}
+
+/**
+ * The credentials file: `{ [profile]: { [apiUrl]: { api_key, saved_at } } }`,
+ * written with the same owner-only, atomic-rename handling as the OAuth
+ * token store.
+ */
+export function createCredentialStore(path = DEFAULT_CREDENTIALS_PATH) {
+  const file = createTokenStore(path)
+
+  return {
+    path,
+    get(profile, apiUrl) {
+      return file.get(profile)?.[normalizeApiUrl(apiUrl)]?.api_key ?? null
+    },
+    set(profile, apiUrl, apiKey) {
+      const entries = file.get(profile) || {}
+      entries[normalizeApiUrl(apiUrl)] = { api_key: apiKey, saved_at: new Date().toISOString() }
+      file.set(profile, entries)
+    },
+    // Returns whether there was anything to remove
+    remove(profile, apiUrl) {
+      const entries = file.get(profile)
+      const key = normalizeApiUrl(apiUrl)
+      if (!entries?.[key]) return false
+      delete entries[key]
+      file.set(profile, Object.keys(entries).length > 0 ? entries : null)
+      return true
+    },
+    // A file others can read has leaked the key already; say so, like ssh does
+    permissionWarning() {
+      try {
+        const mode = statSync(path).mode & 0o777
+        if (mode & 0o077) {
+          return `${path} is accessible by other users (mode ${mode.toString(8)}); run chmod 600 on it`
+        }
+      } catch {
+        // No file yet
+      }
+      return null
+    },
+  }
+}
+
+/**
+ * Read one line without echoing it when `input` is a terminal; from a pipe
+ * (`echo $KEY | npx @robosystems/mcp login`) the first line is taken as-is.
+ * The prompt goes to `prompt` (stderr), never stdout.
+ */
+export function readSecret(question, { input = process.stdin, prompt = process.stderr } = {}) {
+  return new Promise((resolve, reject) => {
+    prompt.write(question)
+    let value = ''
+    const raw = Boolean(input.isTTY && input.setRawMode)
+    const finish = (error) => {
+      input.off('data', onData)
+      input.off('end', onEnd)
+      input.off('error', finish)
+      if (raw) input.setRawMode(false)
+      input.pause()
+      prompt.write('\n')
+      if (error) reject(error)
+      else resolve(value.trim())
+    }
+    const onData = (chunk) => {
+      for (const char of chunk.toString('utf8')) {
+        if (char === '\n' || char === '\r') return finish()
+        if (char === '\u0003') return finish(new Error('cancelled'))
+        if (char === '\u007f' || char === '\b') value = value.slice(0, -1)
+        else value += char
+      }
+    }
+    const onEnd = () => finish()
+    if (raw) input.setRawMode(true)
+    input.on('data', onData)
+    input.on('end', onEnd)
+    input.on('error', finish)
+    input.resume()
+  })
+}
+
+/**
+ * `login`: prompt for an API key and store it for `profile` at `apiUrl`.
+ * `input` and `prompt` are passed to readSecret. Returns the process exit
+ * code.
+ */
+export async function runLogin({
+  profile = DEFAULT_PROFILE,
+  apiUrl,
+  store = createCredentialStore(),
+  input,
+  prompt,
+}) {
+  let apiKey
+  try {
+    apiKey = await readSecret(`API key for ${normalizeApiUrl(apiUrl)} (profile "${profile}"): `, {
+      input,
+      prompt,
+    })
+  } catch (error) {
+    console.error(`Login ${error.message}`)
+    return 1
+  }
+  if (!apiKey) {
+    console.error('No API key entered; nothing saved')
+    return 1
+  }
+  store.set(profile, apiUrl, apiKey)
+  console.error(`Saved API key for profile "${profile}" to ${store.path}`)
+  console.error('You can now remove ROBOSYSTEMS_API_KEY from your MCP configuration')
+  return 0
+}
+
+/**
+ * `logout`: forget the key stored for `profile` at `apiUrl`. Returns the
+ * process exit code.
+ */
+export function runLogout({ profile = DEFAULT_PROFILE, apiUrl, store = createCredentialStore() }) {
+  if (store.remove(profile, apiUrl)) {
+    console.error(`Removed the API key for profile "${profile}" at ${normalizeApiUrl(apiUrl)}`)
+  } else {
+    console.error(`No API key stored for profile "${profile}" at ${normalizeApiUrl(apiUrl)}`)
+  }
+  return 0
+}
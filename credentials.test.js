@@ -0,0 +1,107 @@
+// @vitest-environment node
+
+/**
+ * Tests for stored API keys and the login/logout subcommands
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { chmodSync, mkdtempSync, readFileSync, rmSync, statSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { Readable } from 'stream'
+import { createCredentialStore, readSecret, runLogin, runLogout } from './credentials.js'
+
+const API = 'https://api.robosystems.ai'
+
+describe('credentials', () => {
+  let dir
+  let store
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'robosystems-credentials-'))
+    store = createCredentialStore(join(dir, 'credentials.json'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  describe('createCredentialStore', () => {
+    it('keeps keys per profile and per API host, in an owner-only file', () => {
+      store.set('default', API, 'rfs-prod')
+      store.set('default', 'http://localhost:8000', 'rfs-local')
+      store.set('work', API, 'rfs-work')
+
+      expect(store.get('default', `${API}/`)).toBe('rfs-prod')
+      expect(store.get('default', `${API}/v1/graphs/kg1/mcp`)).toBe('rfs-prod')
+      expect(store.get('default', 'http://localhost:8000')).toBe('rfs-local')
+      expect(store.get('work', API)).toBe('rfs-work')
+      expect(store.get('other', API)).toBeNull()
+      expect(statSync(store.path).mode & 0o777).toBe(0o600)
+      expect(store.permissionWarning()).toBeNull()
+    })
+
+    it('removes one entry and drops an emptied profile', () => {
+      store.set('work', API, 'rfs-work')
+
+      expect(store.remove('work', API)).toBe(true)
+      expect(store.remove('work', API)).toBe(false)
+      expect(JSON.parse(readFileSync(store.path, 'utf8'))).toEqual({})
+    })
+
+    it('warns when the file is readable by others', () => {
+      store.set('default', API, 'rfs-prod')
+      chmodSync(store.path, 0o644)
+
+      expect(store.permissionWarning()).toMatch(/accessible by other users \(mode 644\)/)
+    })
+  })
+
+  describe('readSecret', () => {
+    it('takes the first line from a pipe and prompts on the given stream', async () => {
+      const prompt = { write: vi.fn() }
+
+      const value = await readSecret('Key: ', {
+        input: Readable.from(['rfs-piped\n', 'ignored\n']),
+        prompt,
+      })
+
+      expect(value).toBe('rfs-piped')
+      expect(prompt.write).toHaveBeenCalledWith('Key: ')
+    })
+  })
+
+  describe('runLogin / runLogout', () => {
+    it('stores the entered key and removes it again', async () => {
+      const prompt = { write: vi.fn() }
+      const code = await runLogin({
+        profile: 'work',
+        apiUrl: API,
+        store,
+        input: Readable.from(['  rfs-entered  \n']),
+        prompt,
+      })
+
+      expect(code).toBe(0)
+      expect(prompt.write).toHaveBeenCalledWith(expect.stringMatching(/^API key for .*"work"/))
+      expect(store.get('work', API)).toBe('rfs-entered')
+
+      expect(runLogout({ profile: 'work', apiUrl: API, store })).toBe(0)
+      expect(store.get('work', API)).toBeNull()
+    })
+
+    it('saves nothing when no key is entered', async () => {
+      const code = await runLogin({
+        apiUrl: API,
+        store,
+        input: Readable.from(['\n']),
+        prompt: { write: vi.fn() },
+      })
+
+      expect(code).toBe(1)
+      expect(store.get('default', API)).toBeNull()
+    })
+  })
+})
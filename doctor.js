@@ -0,0 +1,353 @@
+/**
+ * The `doctor` subcommand: diagnose a setup that fails to start.
+ *
+ * A host only shows the server's stderr, and only once something has gone
+ * wrong. `doctor` runs the checks a teammate would otherwise do by hand — the
+ * Node.js version, the settings the server would start with, the API key, both
+ * API endpoints, and a global install shadowing `npx -y` — and prints one
+ * PASS / WARN / FAIL line for each.
+ */
+
+import { execFile } from 'child_process'
+import { existsSync, readFileSync } from 'fs'
+import { join } from 'path'
+import { loadTranscript, redactUrl } from './proxy.js'
+
+const PROBE_TIMEOUT_MS = 10000
+const NPM_TIMEOUT_MS = 5000
+const REQUIRED_NODE_MAJOR = 18
+const PROBE_PROTOCOL_VERSION = '2025-06-18'
+// RoboSystems API keys: an `rfs` prefix followed by URL-safe characters
+const API_KEY_PATTERN = /^rfs[A-Za-z0-9_-]+$/
+
+const LABELS = { pass: 'PASS', warn: 'WARN', fail: 'FAIL', skip: 'SKIP' }
+
+/**
+ * Where a global `npm i -g @robosystems/mcp` lives and its version, or null
+ * when there is none. Throws when npm itself can't be run.
+ */
+export function findGlobalInstall() {
+  return new Promise((resolve, reject) => {
+    // On Windows npm is npm.cmd, which only a shell can start
+    const options = { timeout: NPM_TIMEOUT_MS, shell: process.platform === 'win32' }
+    execFile('npm', ['root', '-g'], options, (error, stdout) => {
+      if (error) return reject(error)
+      const path = join(stdout.trim(), '@robosystems', 'mcp')
+      try {
+        const { version } = JSON.parse(readFileSync(join(path, 'package.json'), 'utf8'))
+        resolve({ path, version })
+      } catch {
+        resolve(null)
+      }
+    })
+  })
+}
+
+/**
+ * Check an API key's shape without sending it anywhere. Returns a status and
+ * a detail line; the key itself is never echoed beyond its prefix.
+ */
+export function checkApiKeyFormat(apiKey) {
+  if (/\s/.test(apiKey)) {
+    return { status: 'fail', detail: 'contains whitespace (a stray space or newline when pasted?)' }
+  }
+  if (/^["']|["']$/.test(apiKey)) {
+    return { status: 'fail', detail: 'is wrapped in quotes' }
+  }
+  if (!API_KEY_PATTERN.test(apiKey)) {
+    return { status: 'warn', detail: `"${apiKey.slice(0, 4)}…" does not look like an rfs… key` }
+  }
+  return { status: 'pass', detail: `${apiKey.slice(0, 6)}…` }
+}
+
+// What each HTTP status most likely means for a probe
+function statusHint(status, apiKey) {
+  if (status === 401) return apiKey ? 'the API key was rejected' : 'sign-in required'
+  if (status === 403) return 'the key has no access to this graph'
+  if (status === 404) return 'not found; check the graph id or URL'
+  return 'unexpected response'
+}
+
+// The first JSON-RPC message in a JSON or SSE response body
+async function readJsonRpc(response) {
+  const text = await response.text()
+  if (!(response.headers.get('content-type') || '').includes('text/event-stream')) {
+    return JSON.parse(text)
+  }
+  for (const line of text.split(/\r?\n/)) {
+    if (line.startsWith('data:')) return JSON.parse(line.slice(5))
+  }
+  throw new Error('SSE response carried no message')
+}
+
+/**
+ * Initialize a session on an MCP endpoint, then end it again. A missing key
+ * is only a warning here: the proxy signs in with OAuth when asked to.
+ */
+async function probeMcp(url, { apiKey, version, fetchImpl }) {
+  const headers = {
+    'Content-Type': 'application/json',
+    Accept: 'application/json, text/event-stream',
+  }
+  if (apiKey) headers['X-API-Key'] = apiKey
+  let response
+  try {
+    response = await fetchImpl(url, {
+      method: 'POST',
+      headers,
+      body: JSON.stringify({
+        jsonrpc: '2.0',
+        id: 1,
+        method: 'initialize',
+        params: {
+          protocolVersion: PROBE_PROTOCOL_VERSION,
+          capabilities: {},
+          clientInfo: { name: 'robosystems-mcp-doctor', version },
+        },
+      }),
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    })
+  } catch (error) {
+    return { status: 'fail', detail: `unreachable: ${error.cause?.message || error.message}` }
+  }
+
+  if (!response.ok) {
+    await response.body?.cancel()
+    const signIn = response.status === 401 && !apiKey && response.headers.has('www-authenticate')
+    return {
+      status: signIn ? 'warn' : 'fail',
+      detail: signIn
+        ? 'HTTP 401: no API key, so the proxy will open a browser to sign in with OAuth'
+        : `HTTP ${response.status}: ${statusHint(response.status, apiKey)}`,
+    }
+  }
+
+  let message
+  try {
+    message = await readJsonRpc(response)
+  } catch (error) {
+    return { status: 'fail', detail: `unreadable initialize response: ${error.message}` }
+  }
+  const sessionId = response.headers.get('mcp-session-id')
+  if (sessionId) {
+    try {
+      const ended = await fetchImpl(url, {
+        method: 'DELETE',
+        headers: { ...headers, 'Mcp-Session-Id': sessionId },
+        signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+      })
+      await ended.body?.cancel()
+    } catch {
+      // The server expires the session on its own
+    }
+  }
+  if (message?.error) {
+    return { status: 'fail', detail: `initialize failed: ${message.error.message}` }
+  }
+  const { serverInfo = {}, protocolVersion } = message?.result ?? {}
+  return {
+    status: 'pass',
+    detail: `${[serverInfo.name, serverInfo.version].filter(Boolean).join(' ') || 'server'}, protocol ${protocolVersion}`,
+  }
+}
+
+// The legacy bridge's tool listing, which is also its startup check
+async function probeLegacyTools(url, { apiKey, version, fetchImpl }) {
+  let response
+  try {
+    response = await fetchImpl(url, {
+      headers: {
+        'X-API-Key': apiKey,
+        'Content-Type': 'application/json',
+        'User-Agent': `robosystems-mcp/${version}`,
+      },
+      signal: AbortSignal.timeout(PROBE_TIMEOUT_MS),
+    })
+  } catch (error) {
+    return { status: 'fail', detail: `unreachable: ${error.cause?.message || error.message}` }
+  }
+  if (!response.ok) {
+    await response.body?.cancel()
+    return {
+      status: 'fail',
+      detail: `HTTP ${response.status}: ${statusHint(response.status, apiKey)}`,
+    }
+  }
+  try {
+    const data = await response.json()
+    return { status: 'pass', detail: `${(data.tools || []).length} tools` }
+  } catch (error) {
+    return { status: 'fail', detail: `unreadable tool list: ${error.message}` }
+  }
+}
+
+// Where the key in use comes from, for the report
+function keySource(settings, env) {
+  if (env.ROBOSYSTEMS_API_KEY) return 'ROBOSYSTEMS_API_KEY'
+  if (typeof settings.apiKey === 'string' && settings.apiKey.startsWith('env:')) {
+    return settings.apiKey.slice(4)
+  }
+  return `stored by login for profile "${settings.apiKey?.slice(6) || settings.profile}"`
+}
+
+/**
+ * Run every check and print the report. `resolveRuntime` returns what
+ * `main()` would start with (and may throw on a broken config file);
+ * `latestVersion`, `isNewerVersion` and `findGlobalInstall` are injectable
+ * for tests. Returns the process exit code: 1 if any check failed.
+ */
+export async function runDoctor({
+  resolveRuntime,
+  version,
+  installDir,
+  latestVersion,
+  isNewerVersion,
+  fetchImpl = fetch,
+  findGlobalInstall: findGlobal = findGlobalInstall,
+  nodeVersion = process.versions.node,
+  env = process.env,
+  print = console.log,
+}) {
+  const counts = { pass: 0, warn: 0, fail: 0, skip: 0 }
+  const report = (status, label, detail) => {
+    counts[status]++
+    print(`${LABELS[status]}  ${label}: ${detail}`)
+  }
+
+  print(`@robosystems/mcp ${version} doctor`)
+  print('')
+
+  const major = parseInt(nodeVersion, 10)
+  report(
+    major >= REQUIRED_NODE_MAJOR ? 'pass' : 'fail',
+    'Node.js',
+    major >= REQUIRED_NODE_MAJOR
+      ? `v${nodeVersion}`
+      : `v${nodeVersion} is too old; version ${REQUIRED_NODE_MAJOR} or later is required`
+  )
+
+  const latest = await latestVersion()
+  if (!latest) {
+    report('warn', 'Version', `${version}; the npm registry could not be reached to compare`)
+  } else if (isNewerVersion(latest, version)) {
+    report('warn', 'Version', `${version}; ${latest} is available`)
+  } else {
+    report('pass', 'Version', `${version} (latest)`)
+  }
+
+  let global
+  try {
+    global = await findGlobal()
+  } catch (error) {
+    report('skip', 'Global install', `npm root -g failed: ${error.message}`)
+  }
+  if (global === null) {
+    report('pass', 'Global install', 'none, so `npx -y` fetches the published version')
+  } else if (global && latest && isNewerVersion(latest, global.version)) {
+    report(
+      'warn',
+      'Global install',
+      `${global.version} at ${global.path} shadows \`npx -y\` and pins it below ${latest}; ` +
+        'update it with `npm i -g @robosystems/mcp@latest` or remove it'
+    )
+  } else if (global) {
+    const running = installDir === global.path ? ', the copy running now' : ''
+    report('pass', 'Global install', `${global.version} at ${global.path}${running}`)
+  }
+
+  let runtime
+  try {
+    runtime = resolveRuntime()
+  } catch (error) {
+    report('fail', 'Configuration', error.message)
+  }
+
+  if (runtime) {
+    const { configPath, settings, profile, apiKey, keyError, replayFile } = runtime
+    report(
+      'pass',
+      'Configuration',
+      existsSync(configPath)
+        ? `profile "${profile}" from ${configPath}`
+        : `profile "${profile}" (no config file at ${configPath})`
+    )
+
+    const probeGraphs = runtime.multiGraph
+      ? runtime.graphIds
+      : [runtime.graphId || runtime.graphIds[0]].filter(Boolean)
+    const mcpUrls = runtime.multiGraph ? probeGraphs.map(runtime.graphUrl) : [runtime.url]
+    const missingGraph = runtime.legacyMode ? !runtime.graphId : !runtime.url && !replayFile
+    if (missingGraph) {
+      report(
+        'fail',
+        'Mode',
+        runtime.legacyMode
+          ? 'legacy mode needs ROBOSYSTEMS_GRAPH_ID'
+          : 'ROBOSYSTEMS_GRAPH_ID (or a full ROBOSYSTEMS_MCP_URL) is required'
+      )
+    } else if (replayFile) {
+      report('pass', 'Mode', `proxy, replaying ${replayFile}`)
+    } else if (runtime.legacyMode) {
+      report(
+        'pass',
+        'Mode',
+        `legacy bridge to ${redactUrl(runtime.baseUrl)}, graph ${runtime.graphId}`
+      )
+    } else {
+      report('pass', 'Mode', `proxy to ${mcpUrls.map(redactUrl).join(', ')}`)
+    }
+
+    if (keyError) {
+      report('fail', 'API key', keyError.message)
+    } else if (apiKey) {
+      const { status, detail } = checkApiKeyFormat(apiKey)
+      report(status, 'API key', `${detail} from ${keySource(settings, env)}`)
+      const warning = env.ROBOSYSTEMS_API_KEY ? null : runtime.credentials.permissionWarning()
+      if (warning) report('warn', 'Credentials file', warning)
+    } else if (runtime.legacyMode) {
+      report('fail', 'API key', 'not set; legacy mode requires ROBOSYSTEMS_API_KEY or `login`')
+    } else if (!replayFile) {
+      report('warn', 'API key', 'not set; the proxy will sign in with OAuth if the server asks')
+    }
+
+    if (replayFile) {
+      try {
+        report('pass', 'Transcript', `${loadTranscript(replayFile).length} recorded events`)
+      } catch (error) {
+        report('fail', 'Transcript', error.message)
+      }
+      report('skip', 'Endpoints', 'a replay never touches the network')
+    } else if (!missingGraph) {
+      // Each endpoint is only a hard requirement in the mode that uses it
+      const probe = { apiKey, version, fetchImpl }
+      for (const url of mcpUrls) {
+        const { status, detail } = await probeMcp(url, probe)
+        report(
+          status === 'fail' && runtime.legacyMode ? 'warn' : status,
+          `MCP endpoint ${redactUrl(url)}`,
+          detail
+        )
+      }
+      if (!apiKey) {
+        report('skip', 'Legacy tools endpoint', 'needs an API key')
+      } else if (probeGraphs.length === 0) {
+        report('skip', 'Legacy tools endpoint', 'no graph id (only an MCP URL is set)')
+      } else {
+        const url = `${runtime.baseUrl.replace(/\/$/, '')}/v1/graphs/${probeGraphs[0]}/mcp/tools`
+        const { status, detail } = await probeLegacyTools(url, probe)
+        report(
+          status === 'fail' && !runtime.legacyMode ? 'warn' : status,
+          `Legacy tools endpoint ${redactUrl(url)}`,
+          detail
+        )
+      }
+    }
+  }
+
+  print('')
+  print(
+    `${counts.pass} passed, ${counts.warn} warning${counts.warn === 1 ? '' : 's'}, ` +
+      `${counts.fail} failed`
+  )
+  return counts.fail > 0 ? 1 : 0
+}
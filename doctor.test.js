@@ -0,0 +1,155 @@
+// @vitest-environment node
+
+/**
+ * Tests for the doctor subcommand, probing the bundled mock server
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { checkApiKeyFormat, runDoctor } from './doctor.js'
+import { startMockServer } from './mock-server.js'
+
+const CONFIG_PATH = '/nonexistent/robosystems-mcp/config.json'
+
+// What main() would resolve for a single graph on `mock`
+function runtimeFor(mock, overrides = {}) {
+  const graphUrl = (id) => mock.mcpUrl(id)
+  return {
+    configPath: CONFIG_PATH,
+    settings: { profile: 'default' },
+    profile: 'default',
+    baseUrl: mock.baseUrl,
+    graphId: 'kg1',
+    graphIds: [],
+    mcpUrl: undefined,
+    credentials: { permissionWarning: () => null },
+    apiKey: 'rfs-test',
+    keyError: null,
+    replayFile: null,
+    legacyMode: false,
+    multiGraph: false,
+    graphUrl,
+    url: graphUrl('kg1'),
+    ...overrides,
+  }
+}
+
+async function doctor(runtime, options = {}) {
+  const lines = []
+  const code = await runDoctor({
+    resolveRuntime: typeof runtime === 'function' ? runtime : () => runtime,
+    version: '1.2.0',
+    installDir: '/opt/npx/@robosystems/mcp',
+    latestVersion: async () => '1.2.0',
+    isNewerVersion: (latest, current) => latest !== current,
+    findGlobalInstall: async () => null,
+    nodeVersion: '20.11.0',
+    env: { ROBOSYSTEMS_API_KEY: 'rfs-test' },
+    print: (line) => lines.push(line),
+    ...options,
+  })
+  return { code, lines, line: (label) => lines.find((l) => l.includes(label)) }
+}
+
+describe('doctor', () => {
+  let mock
+
+  afterEach(async () => {
+    await mock?.close()
+    mock = null
+  })
+
+  it('passes a working proxy setup, probing both endpoints and ending the probe session', async () => {
+    mock = await startMockServer({ apiKey: 'rfs-test' })
+
+    const { code, line, lines } = await doctor(runtimeFor(mock))
+
+    expect(code).toBe(0)
+    expect(line('MCP endpoint')).toMatch(/^PASS .*robosystems-mock.*protocol/)
+    expect(line('Legacy tools endpoint')).toMatch(/^PASS .*: \d+ tools$/)
+    expect(line('API key')).toBe('PASS  API key: rfs-te… from ROBOSYSTEMS_API_KEY')
+    expect(lines.at(-1)).toMatch(/ 0 failed$/)
+    expect(mock.requests.some((r) => r.method === 'DELETE')).toBe(true)
+  })
+
+  it('fails when the server rejects the key', async () => {
+    mock = await startMockServer({ apiKey: 'rfs-right' })
+
+    const { code, line } = await doctor(runtimeFor(mock))
+
+    expect(code).toBe(1)
+    expect(line('MCP endpoint')).toMatch(/^FAIL .*HTTP 401: the API key was rejected/)
+    // Proxy mode doesn't use the legacy endpoint, so its failure only warns
+    expect(line('Legacy tools endpoint')).toMatch(/^WARN .*HTTP 401/)
+  })
+
+  it('reports an old Node.js and a global install that shadows npx', async () => {
+    mock = await startMockServer()
+
+    const { code, line } = await doctor(runtimeFor(mock), {
+      nodeVersion: '16.20.0',
+      latestVersion: async () => '1.3.0',
+      findGlobalInstall: async () => ({
+        path: '/usr/lib/node_modules/@robosystems/mcp',
+        version: '1.0.0',
+      }),
+    })
+
+    expect(code).toBe(1)
+    expect(line('Node.js')).toMatch(/^FAIL .*v16\.20\.0 is too old/)
+    expect(line('Version')).toBe('WARN  Version: 1.2.0; 1.3.0 is available')
+    expect(line('Global install')).toMatch(/^WARN .*1\.0\.0 at .* shadows `npx -y`/)
+  })
+
+  it('never prints credentials carried in an endpoint URL', async () => {
+    mock = await startMockServer()
+    const url = `${mock.mcpUrl('kg1')}?token=rfsSECRET`
+
+    const { lines, line } = await doctor(runtimeFor(mock, { mcpUrl: url, url }))
+
+    expect(lines.join('\n')).not.toContain('rfsSECRET')
+    expect(line('Mode')).toContain(mock.mcpUrl('kg1'))
+    expect(line('MCP endpoint')).toMatch(/^PASS /)
+  })
+
+  it('reports a broken config file and skips the endpoint checks', async () => {
+    const { code, line } = await doctor(() => {
+      throw new Error('config.json is not valid JSON')
+    })
+
+    expect(code).toBe(1)
+    expect(line('Configuration')).toBe('FAIL  Configuration: config.json is not valid JSON')
+    expect(line('endpoint')).toBeUndefined()
+  })
+
+  it('requires a graph and a key in legacy mode', async () => {
+    const fetchImpl = vi.fn()
+
+    const { code, line } = await doctor(
+      {
+        ...runtimeFor({ baseUrl: 'http://localhost:1', mcpUrl: () => null }),
+        legacyMode: true,
+        graphId: undefined,
+        url: null,
+        apiKey: undefined,
+      },
+      { fetchImpl, env: {} }
+    )
+
+    expect(code).toBe(1)
+    expect(line('Mode')).toMatch(/^FAIL .*legacy mode needs ROBOSYSTEMS_GRAPH_ID/)
+    expect(line('API key')).toMatch(/^FAIL .*not set/)
+    expect(fetchImpl).not.toHaveBeenCalled()
+  })
+
+  describe('checkApiKeyFormat', () => {
+    it('catches pasting mistakes and unfamiliar keys', () => {
+      expect(checkApiKeyFormat('rfs_abc123').status).toBe('pass')
+      expect(checkApiKeyFormat('rfs_abc123\n').status).toBe('fail')
+      expect(checkApiKeyFormat('"rfs_abc123"').status).toBe('fail')
+      expect(checkApiKeyFormat('sk-abc123')).toEqual({
+        status: 'warn',
+        detail: '"sk-a…" does not look like an rfs… key',
+      })
+    })
+  })
+})
@@ -0,0 +1,142 @@
+/**
+ * A local Streamable HTTP endpoint for an MCP server built in this process.
+ *
+ * Lets HTTP-capable hosts share one long-running bridge instead of each
+ * spawning a stdio process. Every session gets its own server from
+ * `createServer()` — and with it its own bridge state, such as the active
+ * workspace — on the SDK's StreamableHTTPServerTransport. The listener binds
+ * to the loopback interface only and refuses requests whose Host or Origin
+ * is not local, so a web page cannot reach it through DNS rebinding.
+ */
+
+import { createServer as createHttpServer } from 'http'
+import { randomUUID } from 'crypto'
+import { StreamableHTTPServerTransport } from '@modelcontextprotocol/sdk/server/streamableHttp.js'
+
+export const DEFAULT_HTTP_HOST = '127.0.0.1'
+export const MCP_PATH = '/mcp'
+// How long a session may go without requests before it is closed: a host
+// that exits without a DELETE would otherwise leave its bridge open for good
+export const SESSION_IDLE_TIMEOUT_MS = 30 * 60 * 1000
+
+const LOCAL_HOSTNAMES = ['localhost', '127.0.0.1', '[::1]']
+
+// JSON-RPC error body for requests refused before reaching a transport
+function refuse(res, status, message) {
+  res.writeHead(status, { 'Content-Type': 'application/json' })
+  res.end(JSON.stringify({ jsonrpc: '2.0', id: null, error: { code: -32000, message } }))
+}
+
+// Whether a Host header value or Origin URL names this machine
+function isLocal(value, { origin = false } = {}) {
+  try {
+    return LOCAL_HOSTNAMES.includes(new URL(origin ? value : `http://${value}`).hostname)
+  } catch {
+    return false
+  }
+}
+
+/**
+ * Start listening on `host`:`port` (0 picks a free port) and serve MCP at
+ * `/mcp`. Resolves to `{ url, sessions, close() }` once listening; `sessions`
+ * is the number of open sessions. A session with no request or stream open
+ * for `idleTimeoutMs` is closed (0 keeps sessions until they are ended).
+ */
+export function startHttpListener({
+  port = 0,
+  host = DEFAULT_HTTP_HOST,
+  createServer,
+  idleTimeoutMs = SESSION_IDLE_TIMEOUT_MS,
+}) {
+  const sessions = new Map() // session id -> { transport, server, open, timer }
+
+  // Close a session's server and forget it; safe to call more than once
+  const endSession = (id) => {
+    const session = sessions.get(id)
+    if (!session) return
+    sessions.delete(id)
+    clearTimeout(session.timer)
+    void session.server.close()
+  }
+  // Start a session's idle clock once nothing of it is open any more
+  const idle = (id, session) => {
+    clearTimeout(session.timer)
+    if (session.open > 0 || idleTimeoutMs <= 0) return
+    session.timer = setTimeout(() => endSession(id), idleTimeoutMs)
+    session.timer.unref?.()
+  }
+
+  const handle = async (req, res) => {
+    if (new URL(req.url, 'http://localhost').pathname !== MCP_PATH) {
+      return refuse(res, 404, `Not found; the MCP endpoint is ${MCP_PATH}`)
+    }
+    if (
+      !isLocal(req.headers.host) ||
+      (req.headers.origin && !isLocal(req.headers.origin, { origin: true }))
+    ) {
+      return refuse(res, 403, 'Only local clients may connect')
+    }
+
+    const sessionId = req.headers['mcp-session-id']
+    if (sessionId) {
+      const session = sessions.get(sessionId)
+      if (!session) return refuse(res, 404, 'Session not found')
+      session.open++
+      clearTimeout(session.timer)
+      res.once('close', () => {
+        session.open--
+        idle(sessionId, session)
+      })
+      return session.transport.handleRequest(req, res)
+    }
+    if (req.method !== 'POST') {
+      return refuse(res, 400, 'No session; start one with an initialize request')
+    }
+
+    // A new session, if this is an initialize; the transport refuses anything else
+    const server = createServer()
+    const transport = new StreamableHTTPServerTransport({
+      sessionIdGenerator: () => randomUUID(),
+      onsessioninitialized: (id) => {
+        const session = { transport, server, open: 0, timer: null }
+        sessions.set(id, session)
+        idle(id, session)
+      },
+      onsessionclosed: endSession,
+    })
+    await server.connect(transport)
+    await transport.handleRequest(req, res)
+    if (!transport.sessionId) await server.close()
+  }
+
+  const httpServer = createHttpServer((req, res) => {
+    handle(req, res).catch((error) => {
+      console.error(`HTTP listener: ${error.message}`)
+      if (!res.headersSent) refuse(res, 500, 'Internal error')
+      else res.end()
+    })
+  })
+
+  return new Promise((resolve, reject) => {
+    httpServer.once('error', reject)
+    httpServer.listen(port, host, () => {
+      httpServer.off('error', reject)
+      const address = httpServer.address()
+      const hostname = address.family === 'IPv6' ? `[${address.address}]` : address.address
+      resolve({
+        url: `http://${hostname}:${address.port}${MCP_PATH}`,
+        get sessions() {
+          return sessions.size
+        },
+        async close() {
+          const open = [...sessions.values()]
+          sessions.clear()
+          for (const { timer } of open) clearTimeout(timer)
+          await Promise.allSettled(open.map(({ server }) => server.close()))
+          httpServer.closeAllConnections?.()
+          await new Promise((done) => httpServer.close(done))
+        },
+      })
+    })
+  })
+}
@@ -0,0 +1,93 @@
+// @vitest-environment node
+
+/**
+ * Tests for the local Streamable HTTP listener
+ */
+
+import { describe, it, expect, vi, afterEach } from 'vitest'
+import { Server } from '@modelcontextprotocol/sdk/server/index.js'
+import { startHttpListener } from './http-listener.js'
+
+const INITIALIZE = JSON.stringify({
+  jsonrpc: '2.0',
+  id: 1,
+  method: 'initialize',
+  params: {
+    protocolVersion: '2025-06-18',
+    capabilities: {},
+    clientInfo: { name: 't', version: '1' },
+  },
+})
+
+const post = (url, body, headers = {}) =>
+  fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Accept: 'application/json, text/event-stream',
+      ...headers,
+    },
+    body,
+  })
+
+describe('startHttpListener', () => {
+  let listener
+  const createServer = vi.fn(
+    () => new Server({ name: 'test', version: '1.0.0' }, { capabilities: { tools: {} } })
+  )
+
+  afterEach(async () => {
+    await listener?.close()
+    listener = null
+  })
+
+  it('opens a session per initialize on a loopback port', async () => {
+    listener = await startHttpListener({ createServer })
+
+    const response = await post(listener.url, INITIALIZE)
+    await response.text()
+
+    expect(listener.url).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/mcp$/)
+    expect(response.status).toBe(200)
+    expect(response.headers.get('mcp-session-id')).toBeTruthy()
+    expect(listener.sessions).toBe(1)
+  })
+
+  it('refuses non-local origins, unknown sessions and requests outside a session', async () => {
+    listener = await startHttpListener({ createServer })
+
+    expect((await post(listener.url, INITIALIZE, { Origin: 'https://evil.example' })).status).toBe(
+      403
+    )
+    expect((await post(listener.url, INITIALIZE, { 'Mcp-Session-Id': 'stale' })).status).toBe(404)
+    expect((await fetch(listener.url)).status).toBe(400)
+    expect((await fetch(listener.url.replace('/mcp', '/other'))).status).toBe(404)
+
+    const notInitialize = await post(
+      listener.url,
+      JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' })
+    )
+    expect(notInitialize.status).toBe(400)
+    expect(listener.sessions).toBe(0)
+  })
+
+  it('closes a session the host abandoned without ending it', async () => {
+    const server = new Server({ name: 'test', version: '1.0.0' }, { capabilities: {} })
+    const closed = vi.spyOn(server, 'close')
+    listener = await startHttpListener({ createServer: () => server, idleTimeoutMs: 50 })
+
+    const response = await post(listener.url, INITIALIZE)
+    await response.text()
+    const sessionId = response.headers.get('mcp-session-id')
+    expect(listener.sessions).toBe(1)
+
+    await vi.waitFor(() => expect(listener.sessions).toBe(0))
+    expect(closed).toHaveBeenCalled()
+    const stale = await post(
+      listener.url,
+      JSON.stringify({ jsonrpc: '2.0', id: 2, method: 'tools/list' }),
+      { 'Mcp-Session-Id': sessionId }
+    )
+    expect(stale.status).toBe(404)
+  })
+})
@@ -17,10 +17,34 @@
 
 import { Server } from '@modelcontextprotocol/sdk/server/index.js'
 import { StdioServerTransport } from '@modelcontextprotocol/sdk/server/stdio.js'
-import { CallToolRequestSchema, ListToolsRequestSchema } from '@modelcontextprotocol/sdk/types.js'
+import {
+  CallToolRequestSchema,
+  ErrorCode,
+  ListToolsRequestSchema,
+  McpError,
+} from '@modelcontextprotocol/sdk/types.js'
 import { EventSource } from 'eventsource'
-import { runProxy } from './proxy.js'
+import { createProxyClient, createRecorder, graphAlias, loadTranscript, runProxy } from './proxy.js'
+import { createOAuth } from './oauth.js'
+import { createCredentialStore, runLogin, runLogout } from './credentials.js'
+import { DEFAULT_CONFIG_PATH, loadConfig, resolveApiKey, resolveProfile } from './config.js'
+import { runDoctor } from './doctor.js'
+import { onCliNotification, parseToolArgs, runCallCommand, runToolsCommand } from './cli.js'
+import { DEFAULT_HISTORY_DIR, runRepl } from './repl.js'
+import { startHttpListener } from './http-listener.js'
+import { createToolFilter } from './tool-filter.js'
+import { readOnlyRefusal } from './read-only.js'
+import {
+  CONFIRMED_TOOLS,
+  CONFIRM_TIMEOUT_MS,
+  confirmationRequest,
+  describeDeletion,
+  hostCanConfirm,
+  isConfirmed,
+  notConfirmed,
+} from './confirmation.js'
 import { readFileSync } from 'fs'
+import { setTimeout as sleep } from 'timers/promises'
 import { fileURLToPath } from 'url'
 import { dirname, join } from 'path'
 import { createHash } from 'crypto'
@@ -30,6 +54,8 @@ const __filename = fileURLToPath(import.meta.url)
 const __dirname = dirname(__filename)
 const packageJson = JSON.parse(readFileSync(join(__dirname, 'package.json'), 'utf8'))
 const PACKAGE_VERSION = packageJson.version
+// Upper bound on the best-effort request cancelling an abandoned queued query
+const QUEUE_CANCEL_TIMEOUT_MS = 5000
 
 /**
  * Numeric semver compare for the three core components ("1.2.3").
@@ -50,35 +76,54 @@ function _isNewerVersion(latest, current) {
 }
 
 /**
- * Best-effort check for a newer published version. Runs once at startup, never
- * blocks, and only logs to stderr. Surfaces the silent stale-install problem: a
- * global `npm i -g @robosystems/mcp` can shadow `npx -y` and pin an old version
- * without any error, so a published update never reaches the user.
+ * The latest version published to npm, or null when the registry can't be
+ * reached within `timeoutMs`.
  */
-async function checkForUpdate() {
+async function _fetchLatestVersion(timeoutMs = 2500) {
   try {
-    const controller = new AbortController()
-    const timer = setTimeout(() => controller.abort(), 2500)
     const response = await fetch('https://registry.npmjs.org/@robosystems/mcp/latest', {
-      signal: controller.signal,
+      signal: AbortSignal.timeout(timeoutMs),
     })
-    clearTimeout(timer)
-    if (!response.ok) return
+    if (!response.ok) return null
     const data = await response.json()
-    const latest = data?.version
-    if (latest && _isNewerVersion(latest, PACKAGE_VERSION)) {
-      console.error(
-        `⚠️  @robosystems/mcp ${latest} is available — you are running ${PACKAGE_VERSION}.`
-      )
-      console.error('   A global install can shadow `npx -y` and pin an old version. Update with:')
-      console.error('     npm i -g @robosystems/mcp@latest')
-      console.error('   or pin "@robosystems/mcp@latest" in your MCP config args.')
-    }
+    return data?.version || null
   } catch {
-    // Best-effort only — never block or fail startup on the update check.
+    return null
   }
 }
 
+/**
+ * Best-effort check for a newer published version. Runs once at startup, never
+ * blocks, and only logs to stderr. Surfaces the silent stale-install problem: a
+ * global `npm i -g @robosystems/mcp` can shadow `npx -y` and pin an old version
+ * without any error, so a published update never reaches the user.
+ */
+async function checkForUpdate() {
+  const latest = await _fetchLatestVersion()
+  if (latest && _isNewerVersion(latest, PACKAGE_VERSION)) {
+    console.error(
+      `⚠️  @robosystems/mcp ${latest} is available — you are running ${PACKAGE_VERSION}.`
+    )
+    console.error('   A global install can shadow `npx -y` and pin an old version. Update with:')
+    console.error('     npm i -g @robosystems/mcp@latest')
+    console.error('   or pin "@robosystems/mcp@latest" in your MCP config args.')
+  }
+}
+
+/**
+ * A timeout given in seconds (from the environment or a profile), as
+ * milliseconds. Unset falls back to the proxy's default; 0 disables the limit.
+ */
+function _timeoutMs(raw, name) {
+  if (raw === undefined || raw === null || raw === '') return undefined
+  const seconds = Number(raw)
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    console.error(`Ignoring invalid ${name} ${raw} (expected seconds)`)
+    return undefined
+  }
+  return seconds * 1000
+}
+
 /**
  * Simple SSE Connection Pool
  * Reuses connections for better performance
@@ -224,13 +269,15 @@ class ResultCache {
  * Handles communication with the RoboSystems API
  */
 class RoboSystemsMCPClient {
-  constructor(baseUrl, apiKey, graphId) {
+  constructor(baseUrl, apiKey, graphId, { toolFilter = null, readOnly = false } = {}) {
     this.baseUrl = baseUrl.replace(/\/$/, '') // Remove trailing slash
     this.apiKey = apiKey
     this.primaryGraphId = graphId // Parent graph (never changes)
     this.activeGraphId = graphId // Currently active graph (can switch to workspaces)
     this.graphId = graphId // Deprecated: kept for backward compatibility
     this.instructions = null // Per-graph routing guidance for the active graph (set by getTools)
+    this.toolFilter = toolFilter // Allow/deny patterns (see tool-filter.js); null allows all
+    this.readOnly = readOnly // Refuse writes (see read-only.js)
     this.headers = {
       'X-API-Key': apiKey,
       'Content-Type': 'application/json',
@@ -298,6 +345,9 @@ class RoboSystemsMCPClient {
         console.error(`Added ${workspaceTools.length} client-side workspace tools`)
       }
 
+      if (this.toolFilter) {
+        tools = this.toolFilter.filterTools(tools)
+      }
       return tools
     } catch (error) {
       console.error(`Failed to get tools: ${error.message}`)
@@ -386,21 +436,43 @@ class RoboSystemsMCPClient {
     ]
   }
 
-  async callTool(name, args = {}) {
+  /**
+   * Run a tool. `confirm(message)`, when the host can ask the user, resolves
+   * to whether a deletion may go ahead (see confirmation.js). `onProgress`
+   * receives `{ progress, total, message }` as a long call advances. Aborting
+   * `signal` stops the call's requests, polls and retries, and it rejects.
+   */
+  async callTool(name, args = {}, { confirm = null, onProgress = null, signal } = {}) {
+    // Filtered tools are refused as a protocol error, before any request
+    if (this.toolFilter && !this.toolFilter.allows(name)) {
+      throw new McpError(ErrorCode.InvalidParams, this.toolFilter.refusal(name))
+    }
+    // Writes in read-only mode are refused as a tool error the assistant can read
+    const refusal = this.readOnly ? readOnlyRefusal(name, args) : null
+    if (refusal) {
+      return { type: 'text', text: refusal, isError: true }
+    }
+    if (confirm && CONFIRMED_TOOLS.includes(name)) {
+      const id = args.workspace_id ?? args.subgraph_id
+      if (!(await confirm(this._describeDeletion(id, args.force)))) {
+        console.error(`Deletion of ${id} not confirmed by the user`)
+        return { type: 'text', text: notConfirmed('workspace', id), isError: true }
+      }
+    }
     this.metrics.totalRequests++
 
     // Intercept workspace management tools (client-side implementation)
     if (name === 'create-workspace') {
-      return this._handleCreateWorkspace(args)
+      return this._handleCreateWorkspace(args, { signal })
     }
     if (name === 'switch-workspace') {
-      return this._handleSwitchWorkspace(args)
+      return this._handleSwitchWorkspace(args, { signal })
     }
     if (name === 'delete-workspace') {
-      return this._handleDeleteWorkspace(args)
+      return this._handleDeleteWorkspace(args, { signal })
     }
     if (name === 'list-workspaces') {
-      return this._handleListWorkspaces()
+      return this._handleListWorkspaces({ signal })
     }
 
     // Check cache first for cacheable tools
@@ -413,10 +485,12 @@ class RoboSystemsMCPClient {
     }
 
     // Execute with simple retry logic
-    return this.executeWithRetry(() => this._callToolInternal(name, args))
+    return this.executeWithRetry(() => this._callToolInternal(name, args, { onProgress, signal }), {
+      signal,
+    })
   }
 
-  async _callToolInternal(name, args) {
+  async _callToolInternal(name, args, { onProgress = null, signal } = {}) {
     try {
       const headers = {
         ...this.headers,
@@ -429,6 +503,7 @@ class RoboSystemsMCPClient {
           method: 'POST',
           headers,
           body: JSON.stringify({ name, arguments: args }),
+          signal,
         }
       )
 
@@ -436,11 +511,11 @@ class RoboSystemsMCPClient {
 
       let result
       if (contentType.includes('text/event-stream')) {
-        result = await this.handleSSEResponse(response, name)
+        result = await this.handleSSEResponse(response, name, { onProgress })
       } else if (contentType.includes('application/x-ndjson')) {
-        result = await this.handleNDJSONResponse(response, name)
+        result = await this.handleNDJSONResponse(response, { onProgress, signal })
       } else if (response.status === 202) {
-        result = await this.handleQueuedResponse(response, name)
+        result = await this.handleQueuedResponse(response, { onProgress, signal })
       } else {
         if (!response.ok) {
           throw new Error(`HTTP ${response.status}: ${response.statusText}`)
@@ -469,19 +544,24 @@ class RoboSystemsMCPClient {
 
       return result
     } catch (error) {
+      // A cancelled call is not a failure
+      if (signal?.aborted) throw error
       this.metrics.errors++
       console.error(`Failed to call tool ${name}: ${error.message}`)
       throw error
     }
   }
 
-  async executeWithRetry(fn) {
+  async executeWithRetry(fn, { signal } = {}) {
     let lastError = null
 
     for (let attempt = 0; attempt < this.maxRetries; attempt++) {
+      signal?.throwIfAborted()
       try {
         return await fn()
       } catch (error) {
+        // Cancelled: no retry, the caller gets the abort
+        if (signal?.aborted) throw error
         lastError = error
 
         // Don't retry on auth errors or client errors
@@ -495,7 +575,7 @@ class RoboSystemsMCPClient {
 
         if (attempt < this.maxRetries - 1) {
           const delay = this.baseRetryDelay * Math.pow(2, attempt)
-          await new Promise((resolve) => setTimeout(resolve, delay))
+          await sleep(delay, undefined, { signal })
         }
       }
     }
@@ -506,7 +586,7 @@ class RoboSystemsMCPClient {
     }
   }
 
-  async handleSSEResponse(response, toolName) {
+  async handleSSEResponse(response, toolName, { onProgress = null } = {}) {
     // Read SSE events directly from the POST response body instead of opening
     // a new EventSource. EventSource always uses GET, which 405s on this
     // POST-only endpoint. The SSE stream is already in the response body.
@@ -551,7 +631,12 @@ class RoboSystemsMCPClient {
 
               if (eventType === 'operation_progress' || eventType === 'progress') {
                 const progress = data.data?.percentage ? `${data.data.percentage}% - ` : ''
-                console.error(`Progress: ${progress}${data.data?.message || 'Processing...'}`)
+                const message = data.data?.message || 'Processing...'
+                console.error(`Progress: ${progress}${message}`)
+                const percentage = Number(data.data?.percentage)
+                if (Number.isFinite(percentage)) {
+                  onProgress?.({ progress: percentage, total: 100, message })
+                }
                 continue
               }
 
@@ -584,11 +669,24 @@ class RoboSystemsMCPClient {
     return this.aggregateStreamedResults(events, toolName)
   }
 
-  async handleNDJSONResponse(response) {
+  async handleNDJSONResponse(response, { onProgress = null, signal } = {}) {
     const events = []
     const reader = response.body.getReader()
     const decoder = new TextDecoder()
     let buffer = ''
+    // Rows arrive in chunks; their running count is the call's progress
+    let chunks = 0
+    let rows = 0
+    const received = (event) => {
+      events.push(event)
+      if (event.event !== 'query_chunk' && event.event !== 'data_chunk') return
+      chunks++
+      rows += event.data?.data?.length || 0
+      onProgress?.({
+        progress: chunks,
+        message: `Received ${chunks} chunk${chunks === 1 ? '' : 's'} (${rows} rows)`,
+      })
+    }
 
     try {
       while (true) {
@@ -602,8 +700,7 @@ class RoboSystemsMCPClient {
         for (const line of lines) {
           if (line.trim()) {
             try {
-              const event = JSON.parse(line)
-              events.push(event)
+              received(JSON.parse(line))
             } catch (e) {
               console.error('Failed to parse NDJSON line:', e)
             }
@@ -613,8 +710,7 @@ class RoboSystemsMCPClient {
 
       if (buffer.trim()) {
         try {
-          const event = JSON.parse(buffer)
-          events.push(event)
+          received(JSON.parse(buffer))
         } catch (e) {
           console.error('Failed to parse final NDJSON line:', e)
         }
@@ -622,16 +718,27 @@ class RoboSystemsMCPClient {
 
       return this.aggregateStreamedResults(events, 'ndjson')
     } catch (error) {
+      if (signal?.aborted) throw error
       console.error('NDJSON parsing error:', error)
       return { type: 'text', text: `Error parsing streaming response: ${error.message}` }
     }
   }
 
-  async handleQueuedResponse(response) {
+  async handleQueuedResponse(response, { onProgress = null, signal } = {}) {
     const data = await response.json()
 
     if (data.queued && data.queue_id) {
       console.error(`Query queued with ID: ${data.queue_id}`)
+      // Each poll is a step of progress, reporting the queue position or state
+      const report = (step, state) =>
+        onProgress?.({
+          progress: step,
+          message:
+            state.queue_position !== undefined && state.queue_position !== null
+              ? `Queued, position ${state.queue_position}`
+              : `Query ${state.status || 'queued'}`,
+        })
+      report(0, data)
 
       const statusUrl =
         data.status_url ||
@@ -640,38 +747,49 @@ class RoboSystemsMCPClient {
         data.result_url ||
         `${this.baseUrl}/v1/graphs/${this.activeGraphId}/query/${data.queue_id}/result`
 
+      // A cancelled call abandons the query; when the API says where, ask it
+      // to drop the query too
+      const abandon = () => void this._cancelQueuedQuery(data.queue_id, data.cancel_url)
+      if (data.cancel_url) signal?.addEventListener('abort', abandon, { once: true })
+
       // Simple polling with exponential backoff
       let attempts = 0
       let delay = 1000
       const maxAttempts = 30
 
-      while (attempts < maxAttempts) {
-        await new Promise((resolve) => setTimeout(resolve, delay))
-
-        try {
-          const statusResponse = await fetch(statusUrl, { headers: this.headers })
-
-          if (statusResponse.ok) {
-            const status = await statusResponse.json()
+      try {
+        while (attempts < maxAttempts) {
+          await sleep(delay, undefined, { signal })
 
-            if (status.status === 'completed') {
-              const resultResponse = await fetch(resultUrl, { headers: this.headers })
-              if (resultResponse.ok) {
-                const result = await resultResponse.json()
-                return { type: 'text', text: JSON.stringify(result, null, 2) }
+          try {
+            const statusResponse = await fetch(statusUrl, { headers: this.headers, signal })
+
+            if (statusResponse.ok) {
+              const status = await statusResponse.json()
+              report(attempts + 1, status)
+
+              if (status.status === 'completed') {
+                const resultResponse = await fetch(resultUrl, { headers: this.headers, signal })
+                if (resultResponse.ok) {
+                  const result = await resultResponse.json()
+                  return { type: 'text', text: JSON.stringify(result, null, 2) }
+                }
+              } else if (status.status === 'failed') {
+                return { type: 'text', text: `Query failed: ${status.error || 'Unknown error'}` }
+              } else if (status.status === 'cancelled') {
+                return { type: 'text', text: 'Query was cancelled' }
               }
-            } else if (status.status === 'failed') {
-              return { type: 'text', text: `Query failed: ${status.error || 'Unknown error'}` }
-            } else if (status.status === 'cancelled') {
-              return { type: 'text', text: 'Query was cancelled' }
             }
+          } catch (e) {
+            if (signal?.aborted) throw e
+            console.error('Polling error:', e)
           }
-        } catch (e) {
-          console.error('Polling error:', e)
-        }
 
-        attempts++
-        delay = Math.min(delay * 1.5, 10000)
+          attempts++
+          delay = Math.min(delay * 1.5, 10000)
+        }
+      } finally {
+        signal?.removeEventListener('abort', abandon)
       }
 
       return { type: 'text', text: 'Query timed out waiting for result' }
@@ -680,6 +798,27 @@ class RoboSystemsMCPClient {
     return { type: 'text', text: JSON.stringify(data, null, 2) }
   }
 
+  /**
+   * Ask the server to drop a queued query nobody is waiting for. Best effort:
+   * a failure is only logged.
+   */
+  async _cancelQueuedQuery(queueId, cancelUrl) {
+    try {
+      const response = await fetch(cancelUrl, {
+        method: 'DELETE',
+        headers: this.headers,
+        signal: AbortSignal.timeout(QUEUE_CANCEL_TIMEOUT_MS),
+      })
+      if (response.ok) {
+        console.error(`Cancelled queued query ${queueId}`)
+      } else {
+        console.error(`Could not cancel queued query ${queueId}: HTTP ${response.status}`)
+      }
+    } catch (error) {
+      console.error(`Could not cancel queued query ${queueId}: ${error.message}`)
+    }
+  }
+
   aggregateStreamedResults(events) {
     // Check for errors
     const errorEvent = events.find((e) => e.event === 'error' || e.event === 'operation_error')
@@ -789,7 +928,7 @@ class RoboSystemsMCPClient {
 
   // Workspace management methods
 
-  async _handleCreateWorkspace(args) {
+  async _handleCreateWorkspace(args, { signal } = {}) {
     const { name, description, fork_parent = false, subgraph_type = 'static' } = args
     const validSubgraphTypes = ['static', 'knowledge']
 
@@ -814,6 +953,7 @@ class RoboSystemsMCPClient {
             name: 'create-subgraph',
             arguments: { name, description, fork_parent, subgraph_type },
           }),
+          signal,
         }
       )
 
@@ -883,6 +1023,7 @@ class RoboSystemsMCPClient {
         ),
       }
     } catch (error) {
+      if (signal?.aborted) throw error
       console.error(`Failed to create workspace: ${error.message}`)
       return {
         type: 'text',
@@ -899,7 +1040,7 @@ class RoboSystemsMCPClient {
     }
   }
 
-  async _handleSwitchWorkspace(args) {
+  async _handleSwitchWorkspace(args, { signal } = {}) {
     const { workspace_id } = args
 
     // Handle "primary" alias
@@ -908,7 +1049,7 @@ class RoboSystemsMCPClient {
     // Validate workspace exists — if not found locally, refresh from server first
     if (!this.workspaces.has(targetGraphId)) {
       console.error(`Workspace "${targetGraphId}" not in local cache, refreshing from server...`)
-      await this._refreshWorkspacesCache()
+      await this._refreshWorkspacesCache({ signal })
     }
 
     if (!this.workspaces.has(targetGraphId)) {
@@ -978,7 +1119,19 @@ class RoboSystemsMCPClient {
     }
   }
 
-  async _handleDeleteWorkspace(args) {
+  // The confirmation question for deleting workspace `id`
+  _describeDeletion(id, force = false) {
+    return describeDeletion({
+      kind: 'workspace',
+      id,
+      name: this.workspaces.get(id)?.name,
+      parent: this.primaryGraphId,
+      active: id === this.activeGraphId,
+      force,
+    })
+  }
+
+  async _handleDeleteWorkspace(args, { signal } = {}) {
     const { workspace_id, force = false } = args
 
     try {
@@ -994,6 +1147,7 @@ class RoboSystemsMCPClient {
             name: 'delete-subgraph',
             arguments: { subgraph_id: workspace_id, force },
           }),
+          signal,
         }
       )
 
@@ -1059,6 +1213,7 @@ class RoboSystemsMCPClient {
         ),
       }
     } catch (error) {
+      if (signal?.aborted) throw error
       console.error(`Failed to delete workspace: ${error.message}`)
       return {
         type: 'text',
@@ -1075,7 +1230,7 @@ class RoboSystemsMCPClient {
     }
   }
 
-  async _refreshWorkspacesCache() {
+  async _refreshWorkspacesCache({ signal } = {}) {
     try {
       // The server tool family speaks "subgraphs" (`list-subgraphs`,
       // `subgraphs[].subgraph_id`); this client keeps the "workspace"
@@ -1086,6 +1241,7 @@ class RoboSystemsMCPClient {
           method: 'POST',
           headers: { ...this.headers, Accept: 'application/json' },
           body: JSON.stringify({ name: 'list-subgraphs', arguments: {} }),
+          signal,
         }
       )
 
@@ -1136,14 +1292,16 @@ class RoboSystemsMCPClient {
         workspaces,
       }
     } catch (error) {
+      // A cancelled call stops here rather than falling back to the cache
+      if (signal?.aborted) throw error
       console.error(`Failed to refresh workspaces cache: ${error.message}`)
       return null
     }
   }
 
-  async _handleListWorkspaces() {
+  async _handleListWorkspaces({ signal } = {}) {
     console.error('Listing workspaces via MCP tool')
-    const result = await this._refreshWorkspacesCache()
+    const result = await this._refreshWorkspacesCache({ signal })
 
     if (!result) {
       // Fallback to client-side tracking
@@ -1223,84 +1381,37 @@ class RoboSystemsMCPClient {
   }
 }
 
-async function main() {
-  const baseUrl = process.env.ROBOSYSTEMS_API_URL || 'https://api.robosystems.ai'
-  const apiKey = process.env.ROBOSYSTEMS_API_KEY
-  const graphId = process.env.ROBOSYSTEMS_GRAPH_ID
-
-  // Proxy mode (the default): forward stdio JSON-RPC straight to the
-  // platform's native MCP endpoint (Streamable HTTP) instead of running the
-  // legacy REST bridge. ROBOSYSTEMS_MCP_MODE=legacy opts back into the bridge
-  // (needed only against API deployments predating the MCP transport, or for
-  // the bridge's client-side workspace tools); ROBOSYSTEMS_MCP_URL or a
-  // --proxy flag force proxy mode regardless.
-  const mcpUrl = process.env.ROBOSYSTEMS_MCP_URL
-  const legacyMode =
-    !mcpUrl &&
-    !process.argv.includes('--proxy') &&
-    (process.env.ROBOSYSTEMS_MCP_MODE === 'legacy' || process.env.ROBOSYSTEMS_MCP_MODE === 'bridge')
-
-  if (!legacyMode) {
-    if (!mcpUrl && !graphId) {
-      console.error('ROBOSYSTEMS_GRAPH_ID (or a full ROBOSYSTEMS_MCP_URL) is required')
-      console.error('Set one of them in your MCP configuration')
-      process.exit(1)
-    }
-    const url = mcpUrl || `${baseUrl.replace(/\/$/, '')}/v1/graphs/${graphId}/mcp`
-    void checkForUpdate() // fire-and-forget stale-version warning (stderr only)
-    await runProxy({ url, apiKey, version: PACKAGE_VERSION })
-    return
-  }
-
-  if (!apiKey) {
-    console.error('ROBOSYSTEMS_API_KEY environment variable is required')
-    console.error('Please set ROBOSYSTEMS_API_KEY in your MCP configuration')
-    process.exit(1)
-  }
-
-  if (!graphId) {
-    console.error('ROBOSYSTEMS_GRAPH_ID environment variable is required')
-    console.error('Please set ROBOSYSTEMS_GRAPH_ID in your MCP configuration')
-    process.exit(1)
-  }
-
-  console.error(`RoboSystems MCP Client v${PACKAGE_VERSION}`)
-  void checkForUpdate() // fire-and-forget stale-version warning (stderr only)
-  console.error(`Connecting to ${baseUrl}`)
-  console.error(`Primary graph: ${graphId}`)
-  console.error(`API Key: ${apiKey.substring(0, 10)}...`)
-
-  const remoteClient = new RoboSystemsMCPClient(baseUrl, apiKey, graphId)
-
-  // Prefetch the primary graph's tools + instructions BEFORE constructing the
-  // server. The MCP `instructions` field ships in the initialize handshake and
-  // is immutable afterward, so it must be present at construction time (unlike
-  // tools, which are fetched lazily per ListTools request). This also serves as
-  // the initial connection test.
-  let primaryInstructions
-  try {
-    console.error('Testing API connection...')
-    const tools = await remoteClient.getTools()
-    const toolNames = tools.map((t) => t.name)
-    console.error(`Connected successfully. Available tools: ${toolNames.join(', ')}`)
-    primaryInstructions = remoteClient.instructions || undefined
-    if (primaryInstructions) {
-      console.error(
-        `Loaded per-graph instructions for ${graphId} (${primaryInstructions.length} chars)`
-      )
-    }
-  } catch (error) {
-    console.error(`Initial connection test failed: ${error.message}`)
-    // Continue anyway: ListTools retries on demand; instructions stay unset.
+/**
+ * Progress callback for a call the host gave `progressToken`: sends
+ * `notifications/progress`. Progress may only increase, so a value that does
+ * not (a retry starting over) is skipped.
+ */
+function progressNotifier(progressToken, sendNotification) {
+  let last = -Infinity
+  return ({ progress, total, message }) => {
+    if (!(progress > last)) return
+    last = progress
+    sendNotification({
+      method: 'notifications/progress',
+      params: { progressToken, progress, ...(total !== undefined && { total }), message },
+    }).catch((error) => console.error(`Could not send progress: ${error.message}`))
   }
+}
 
+/**
+ * The legacy bridge as an MCP server: tools are listed from and called
+ * through `remoteClient`. `instructions` (the primary graph's, fetched before
+ * the handshake) ship in the initialize result. Not yet connected to a
+ * transport — stdio by default, or one per session on the HTTP listener.
+ */
+function createBridgeServer(remoteClient, instructions) {
   const serverOptions = {
     capabilities: {
       tools: {},
     },
   }
-  if (primaryInstructions) {
-    serverOptions.instructions = primaryInstructions
+  if (instructions) {
+    serverOptions.instructions = instructions
   }
 
   const server = new Server(
@@ -1328,10 +1439,34 @@ async function main() {
   })
 
   // Call tool handler
-  server.setRequestHandler(CallToolRequestSchema, async (request) => {
+  server.setRequestHandler(CallToolRequestSchema, async (request, extra) => {
     try {
       const { name, arguments: args } = request.params
-      const result = await remoteClient.callTool(name, args || {})
+      const progressToken = request.params._meta?.progressToken
+      const onProgress =
+        progressToken === undefined ? null : progressNotifier(progressToken, extra.sendNotification)
+      // Deletions are put to the user first when the host can ask
+      const confirm = hostCanConfirm(server.getClientCapabilities())
+        ? async (message) => {
+            try {
+              const answer = await server.elicitInput(confirmationRequest(message), {
+                timeout: CONFIRM_TIMEOUT_MS,
+                signal: extra.signal,
+              })
+              return isConfirmed(answer)
+            } catch (error) {
+              // No answer in time, or an error from the host, is no go-ahead
+              console.error(`Could not confirm the deletion: ${error.message}`)
+              return false
+            }
+          }
+        : null
+      // A cancelled request aborts the call, down to its fetches and polls
+      const result = await remoteClient.callTool(name, args || {}, {
+        confirm,
+        onProgress,
+        signal: extra.signal,
+      })
 
       const content = []
       if (result.type === 'text') {
@@ -1340,8 +1475,15 @@ async function main() {
         content.push({ type: 'text', text: JSON.stringify(result, null, 2) })
       }
 
-      return { content }
+      return result.isError ? { content, isError: true } : { content }
     } catch (error) {
+      // Protocol errors (a filtered tool) go back as JSON-RPC errors
+      if (error instanceof McpError) throw error
+      // The host cancelled it and expects no reply; the SDK sends none
+      if (extra.signal.aborted) {
+        console.error(`Tool call ${request.params.name} cancelled`)
+        throw error
+      }
       console.error(`Error calling tool ${request.params.name}: ${error.message}`)
       return {
         content: [
@@ -1354,6 +1496,376 @@ async function main() {
     }
   })
 
+  return server
+}
+
+/**
+ * Value following a `--flag` on the command line, or null when the flag is
+ * absent. A flag given without a value is a usage error.
+ */
+function _argValue(flag) {
+  const index = process.argv.indexOf(flag)
+  if (index === -1) return null
+  const value = process.argv[index + 1]
+  if (!value || value.startsWith('--')) {
+    console.error(`${flag} needs a value`)
+    process.exit(1)
+  }
+  return value
+}
+
+/**
+ * Everything a run depends on — the selected profile's settings, the mode,
+ * the endpoint URL(s) and the API key — resolved from the config file, the
+ * environment and the command line. Used by both the server and `doctor`, so
+ * the diagnosis describes exactly what a normal start would do. Throws when
+ * the config file is unusable; a bad `apiKey` reference is returned as
+ * `keyError` instead, so `login` can still be run to fix it.
+ */
+function _resolveRuntime() {
+  // Settings come from the selected config-file profile, each overridable by
+  // its environment variable
+  const configPath = process.env.ROBOSYSTEMS_CONFIG || DEFAULT_CONFIG_PATH
+  const settings = resolveProfile({
+    config: loadConfig(configPath),
+    profile: _argValue('--profile') || process.env.ROBOSYSTEMS_PROFILE,
+  })
+  const { graphId, mcpUrl } = settings
+  const baseUrl = settings.apiUrl || 'https://api.robosystems.ai'
+  // Stored keys are per API host: the MCP URL's when one is given
+  const credentialUrl = mcpUrl || baseUrl
+  const credentials = createCredentialStore()
+
+  // The environment wins; otherwise the profile's key reference, or a key
+  // saved by `login`
+  let apiKey
+  let keyError = null
+  try {
+    apiKey = resolveApiKey({ settings, credentials, apiUrl: credentialUrl })
+  } catch (error) {
+    keyError = error
+  }
+
+  // Proxy mode (the default): forward stdio JSON-RPC straight to the
+  // platform's native MCP endpoint (Streamable HTTP) instead of running the
+  // legacy REST bridge. Mode legacy (ROBOSYSTEMS_MCP_MODE or the profile's
+  // `mode`) opts back into the bridge (needed only against API deployments
+  // predating the MCP transport, or for the bridge's client-side workspace
+  // tools); an MCP URL or a --proxy flag force proxy mode regardless.
+  // --replay <file> runs the proxy against a recorded transcript instead of
+  // the network.
+  const replayFile = _argValue('--replay')
+  const legacyMode =
+    !mcpUrl &&
+    !replayFile &&
+    !process.argv.includes('--proxy') &&
+    (settings.mode === 'legacy' || settings.mode === 'bridge')
+
+  // Several graph ids (ROBOSYSTEMS_GRAPH_IDS, or a profile's `graphIds`)
+  // put one proxy process in front of all of them
+  const graphIds = (
+    Array.isArray(settings.graphIds)
+      ? settings.graphIds
+      : String(settings.graphIds ?? '').split(',')
+  )
+    .map((id) => String(id).trim())
+    .filter(Boolean)
+  const multiGraph = !legacyMode && !mcpUrl && !replayFile && graphIds.length > 1
+
+  const toolFilter = createToolFilter({ allow: settings.allowTools, deny: settings.denyTools })
+  // ROBOSYSTEMS_READ_ONLY=true (or a profile's `readOnly`) refuses writes
+  const readOnly = [true, 'true', '1', 'yes', 'on'].includes(
+    typeof settings.readOnly === 'string'
+      ? settings.readOnly.trim().toLowerCase()
+      : settings.readOnly
+  )
+
+  const graphUrl = (id) => `${baseUrl.replace(/\/$/, '')}/v1/graphs/${id}/mcp`
+  const primaryGraph = graphId || graphIds[0]
+  const url = mcpUrl || (primaryGraph ? graphUrl(primaryGraph) : null)
+
+  return {
+    configPath,
+    settings,
+    profile: settings.profile,
+    baseUrl,
+    graphId,
+    graphIds,
+    mcpUrl,
+    credentialUrl,
+    credentials,
+    apiKey,
+    keyError,
+    replayFile,
+    legacyMode,
+    multiGraph,
+    graphUrl,
+    url,
+    toolFilter,
+    readOnly,
+  }
+}
+
+async function main() {
+  // `doctor` reports on the setup and connectivity, and exits; it resolves
+  // the settings itself so that a broken config file is one of its findings
+  if (process.argv[2] === 'doctor') {
+    process.exit(
+      await runDoctor({
+        resolveRuntime: _resolveRuntime,
+        version: PACKAGE_VERSION,
+        installDir: __dirname,
+        latestVersion: _fetchLatestVersion,
+        isNewerVersion: _isNewerVersion,
+      })
+    )
+  }
+
+  let runtime
+  try {
+    runtime = _resolveRuntime()
+  } catch (error) {
+    console.error(error.message)
+    process.exit(1)
+  }
+  const {
+    settings,
+    profile,
+    baseUrl,
+    graphId,
+    graphIds,
+    mcpUrl,
+    credentialUrl,
+    credentials,
+    apiKey,
+    replayFile,
+    legacyMode,
+    multiGraph,
+    graphUrl,
+    url,
+    toolFilter,
+    readOnly,
+  } = runtime
+
+  // `login` / `logout` manage the stored API key and exit
+  const command = process.argv[2]
+  if (command === 'login' || command === 'logout') {
+    const apiUrl = _argValue('--api-url') || credentialUrl
+    process.exit(
+      command === 'login'
+        ? await runLogin({ profile, apiUrl, store: credentials })
+        : runLogout({ profile, apiUrl, store: credentials })
+    )
+  }
+
+  // `tools`, `call <tool>` and `repl` use the server from the terminal,
+  // without a host, and exit
+  let runCli = null
+  if (command === 'repl') {
+    // The prompt and the history file are per graph
+    const graphLabel = multiGraph
+      ? graphIds.map(graphAlias).join('+')
+      : graphAlias(graphId || /\/graphs\/([^/]+)/.exec(mcpUrl ?? '')?.[1] || profile)
+    runCli = (session) =>
+      runRepl({
+        session,
+        prompt: graphLabel,
+        historyPath: join(DEFAULT_HISTORY_DIR, `${graphLabel}.history`),
+      })
+  }
+  if (command === 'tools' || command === 'call') {
+    const json = process.argv.includes('--json')
+    const name = process.argv[3]
+    let args
+    if (command === 'call') {
+      if (!name || name.startsWith('--')) {
+        console.error("Usage: npx @robosystems/mcp call <tool> [--args '<json>'] [--json]")
+        process.exit(1)
+      }
+      try {
+        args = parseToolArgs(_argValue('--args'))
+      } catch (error) {
+        console.error(error.message)
+        process.exit(1)
+      }
+    }
+    runCli = (session) =>
+      command === 'tools'
+        ? runToolsCommand({ session, json })
+        : runCallCommand({ session, name, args, json })
+  }
+
+  if (runtime.keyError) {
+    console.error(runtime.keyError.message)
+    process.exit(1)
+  }
+  if (apiKey && !process.env.ROBOSYSTEMS_API_KEY) {
+    const warning = credentials.permissionWarning()
+    if (warning) console.error(`Warning: ${warning}`)
+  }
+
+  if (!legacyMode) {
+    if (_argValue('--http') ?? settings.httpPort) {
+      console.error(
+        'Ignoring the HTTP port: only the legacy bridge is served over HTTP; ' +
+          'connect HTTP-capable hosts to the MCP endpoint directly'
+      )
+    }
+    if (!mcpUrl && !graphId && !replayFile && graphIds.length === 0) {
+      console.error('ROBOSYSTEMS_GRAPH_ID (or a full ROBOSYSTEMS_MCP_URL) is required')
+      console.error('Set one of them in your MCP configuration')
+      process.exit(1)
+    }
+    // fire-and-forget stale-version warning (stderr only); replay stays offline
+    if (!replayFile) void checkForUpdate()
+    // The proxy handles SIGINT/SIGTERM itself so it can end the server
+    // session before exiting.
+    process.off('SIGINT', cleanup)
+    process.off('SIGTERM', cleanup)
+    const recordDir = process.env.ROBOSYSTEMS_RECORD_DIR
+    if (recordDir && multiGraph) {
+      console.error('ROBOSYSTEMS_RECORD_DIR is ignored with several graphs')
+    }
+    let replay = null
+    if (replayFile) {
+      try {
+        replay = loadTranscript(replayFile)
+      } catch (error) {
+        console.error(`Cannot replay ${replayFile}: ${error.message}`)
+        process.exit(1)
+      }
+    }
+    const recorder = recordDir && !multiGraph ? createRecorder(recordDir) : null
+    const proxyOptions = {
+      url,
+      apiKey,
+      version: PACKAGE_VERSION,
+      requestTimeoutMs: _timeoutMs(settings.requestTimeout, 'request timeout'),
+      idleTimeoutMs: _timeoutMs(settings.idleTimeout, 'idle timeout'),
+      recorder,
+      replay,
+      toolFilter,
+      readOnly,
+      // Without an API key, sign in through the endpoint's OAuth server
+      auth: apiKey || replay || multiGraph ? null : createOAuth({ resource: url }),
+      graphs: multiGraph
+        ? graphIds.map((id) => ({
+            alias: graphAlias(id),
+            url: graphUrl(id),
+            auth: apiKey ? null : createOAuth({ resource: graphUrl(id) }),
+          }))
+        : undefined,
+    }
+    if (runCli) {
+      const code = await runCli(
+        createProxyClient({ ...proxyOptions, onNotification: onCliNotification })
+      )
+      recorder?.close()
+      process.exit(code)
+    }
+    await runProxy(proxyOptions)
+    process.exit(0)
+  }
+
+  if (!apiKey) {
+    console.error('ROBOSYSTEMS_API_KEY environment variable is required')
+    console.error(
+      'Please set ROBOSYSTEMS_API_KEY in your MCP configuration, or store it with `npx @robosystems/mcp login`'
+    )
+    process.exit(1)
+  }
+
+  if (!graphId) {
+    console.error('ROBOSYSTEMS_GRAPH_ID environment variable is required')
+    console.error('Please set ROBOSYSTEMS_GRAPH_ID in your MCP configuration')
+    process.exit(1)
+  }
+
+  if (runCli) {
+    const client = new RoboSystemsMCPClient(baseUrl, apiKey, graphId, { toolFilter, readOnly })
+    process.exit(
+      await runCli({
+        initialize: async () => {},
+        listTools: async () =>
+          (await client.getTools()).map(({ name, description, inputSchema }) => ({
+            name,
+            description,
+            inputSchema,
+          })),
+        // Shaped like an MCP result, as the stdio server below returns it
+        callTool: async (name, args, { progressToken } = {}) => {
+          const result = await client.callTool(name, args, {
+            onProgress:
+              progressToken === undefined
+                ? null
+                : (params) => onCliNotification({ method: 'notifications/progress', params }),
+          })
+          const text = result.type === 'text' ? result.text : JSON.stringify(result, null, 2)
+          return { content: [{ type: 'text', text }], ...(result.isError && { isError: true }) }
+        },
+        close: async () => client.cleanup(),
+      })
+    )
+  }
+
+  console.error(`RoboSystems MCP Client v${PACKAGE_VERSION}`)
+  void checkForUpdate() // fire-and-forget stale-version warning (stderr only)
+  console.error(`Connecting to ${baseUrl}`)
+  console.error(`Primary graph: ${graphId}`)
+  console.error(`API Key: ${apiKey.substring(0, 10)}...`)
+  if (readOnly) {
+    console.error('Read-only mode: write queries and destructive tools are refused')
+  }
+
+  const remoteClient = new RoboSystemsMCPClient(baseUrl, apiKey, graphId, { toolFilter, readOnly })
+
+  // Prefetch the primary graph's tools + instructions BEFORE constructing the
+  // server. The MCP `instructions` field ships in the initialize handshake and
+  // is immutable afterward, so it must be present at construction time (unlike
+  // tools, which are fetched lazily per ListTools request). This also serves as
+  // the initial connection test.
+  let primaryInstructions
+  try {
+    console.error('Testing API connection...')
+    const tools = await remoteClient.getTools()
+    const toolNames = tools.map((t) => t.name)
+    console.error(`Connected successfully. Available tools: ${toolNames.join(', ')}`)
+    primaryInstructions = remoteClient.instructions || undefined
+    if (primaryInstructions) {
+      console.error(
+        `Loaded per-graph instructions for ${graphId} (${primaryInstructions.length} chars)`
+      )
+    }
+  } catch (error) {
+    console.error(`Initial connection test failed: ${error.message}`)
+    // Continue anyway: ListTools retries on demand; instructions stay unset.
+  }
+
+  const httpPort = _argValue('--http') ?? settings.httpPort
+  if (httpPort !== undefined && httpPort !== null && httpPort !== '') {
+    const port = Number(httpPort)
+    if (!Number.isInteger(port) || port < 0 || port > 65535) {
+      console.error(`Invalid HTTP port ${httpPort}`)
+      process.exit(1)
+    }
+    // One bridge per session, so each host has its own active workspace
+    const listener = await startHttpListener({
+      port,
+      createServer: () => {
+        const client = new RoboSystemsMCPClient(baseUrl, apiKey, graphId, { toolFilter, readOnly })
+        const server = createBridgeServer(client, primaryInstructions)
+        server.onclose = () => client.cleanup()
+        return server
+      },
+    })
+    console.error(`RoboSystems MCP bridge listening at ${listener.url}`)
+    console.error('Add that URL to your MCP host as a Streamable HTTP server')
+    // Keep the process alive; SIGINT/SIGTERM exit through cleanup()
+    await new Promise(() => {})
+  }
+
+  const server = createBridgeServer(remoteClient, primaryInstructions)
+
   // Start server (connection + tools already verified during prefetch above)
   try {
     const transport = new StdioServerTransport()
@@ -1394,7 +1906,7 @@ process.on('SIGINT', cleanup)
 process.on('SIGTERM', cleanup)
 
 // Export for programmatic use
-export { RoboSystemsMCPClient, SSEConnectionPool, ResultCache }
+export { RoboSystemsMCPClient, SSEConnectionPool, ResultCache, createBridgeServer }
 
 // Only run as server if this is the main module
 // Check if we're being run directly (not imported)
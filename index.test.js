@@ -23,7 +23,16 @@ vi.mock('eventsource', () => {
 })
 
 // Import after mocking
-import { RoboSystemsMCPClient, SSEConnectionPool, ResultCache } from './index.js'
+import { Client } from '@modelcontextprotocol/sdk/client/index.js'
+import { InMemoryTransport } from '@modelcontextprotocol/sdk/inMemory.js'
+import { ElicitRequestSchema } from '@modelcontextprotocol/sdk/types.js'
+import {
+  RoboSystemsMCPClient,
+  SSEConnectionPool,
+  ResultCache,
+  createBridgeServer,
+} from './index.js'
+import { createToolFilter } from './tool-filter.js'
 
 describe('SSEConnectionPool', () => {
   let pool
@@ -324,6 +333,246 @@ describe('RoboSystemsMCPClient', () => {
     })
   })
 
+  describe('tool filter', () => {
+    it('hides filtered tools, workspace tools included, and refuses calls to them', async () => {
+      const filtered = new RoboSystemsMCPClient('https://api.example.com', 'k', 'g', {
+        toolFilter: createToolFilter({ deny: 'delete-*' }),
+      })
+      fetchMock.mockResolvedValueOnce({
+        ok: true,
+        json: async () => ({ tools: [{ name: 'execute-cypher' }, { name: 'delete-subgraph' }] }),
+      })
+
+      const names = (await filtered.getTools()).map((tool) => tool.name)
+
+      expect(names).toContain('execute-cypher')
+      expect(names).toContain('create-workspace')
+      expect(names).not.toContain('delete-subgraph')
+      expect(names).not.toContain('delete-workspace')
+      await expect(filtered.callTool('delete-workspace', {})).rejects.toMatchObject({
+        code: -32602,
+      })
+      expect(fetchMock).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('read-only mode', () => {
+    it('refuses writes with a tool error and lets reads through', async () => {
+      const readOnly = new RoboSystemsMCPClient('https://api.example.com', 'k', 'g', {
+        readOnly: true,
+      })
+      fetchMock.mockResolvedValue({
+        ok: true,
+        headers: new Map([['content-type', 'application/json']]),
+        json: async () => ({ result: { type: 'text', text: 'rows' } }),
+      })
+
+      const refused = await readOnly.callTool('execute-cypher', {
+        query: "MATCH (n:Entity) SET n.name = 'x'",
+      })
+      const deleted = await readOnly.callTool('delete-workspace', { workspace_id: 'kg1_dev' })
+      const read = await readOnly.callTool('execute-cypher', { query: 'MATCH (n) RETURN n' })
+
+      expect(refused).toMatchObject({ type: 'text', isError: true })
+      expect(refused.text).toMatch(/uses SET/)
+      expect(deleted).toMatchObject({ isError: true })
+      expect(read).toEqual({ type: 'text', text: 'rows' })
+      expect(fetchMock).toHaveBeenCalledTimes(1)
+    })
+  })
+
+  describe('confirming deletions', () => {
+    const deleted = {
+      ok: true,
+      json: async () => ({ result: { type: 'text', text: '{"deleted": true}' } }),
+    }
+
+    it('asks before deleting a workspace and stops when the user declines', async () => {
+      client.workspaces.set('test-graph-id_dev', { type: 'workspace', name: 'dev' })
+      client.activeGraphId = 'test-graph-id_dev'
+      const confirm = vi.fn().mockResolvedValue(false)
+
+      const result = await client.callTool(
+        'delete-workspace',
+        { workspace_id: 'test-graph-id_dev' },
+        { confirm }
+      )
+
+      expect(confirm).toHaveBeenCalledTimes(1)
+      const [question] = confirm.mock.calls[0]
+      expect(question).toContain('"dev" (test-graph-id_dev) of graph test-graph-id')
+      expect(question).toContain('It is the active workspace')
+      expect(result).toMatchObject({ isError: true })
+      expect(result.text).toMatch(/Not deleted/)
+      expect(fetchMock).not.toHaveBeenCalled()
+      expect(client.activeGraphId).toBe('test-graph-id_dev')
+    })
+
+    it('deletes once confirmed, and without asking when the host cannot', async () => {
+      fetchMock.mockResolvedValue(deleted)
+
+      await client.callTool(
+        'delete-workspace',
+        { workspace_id: 'test-graph-id_a' },
+        { confirm: async () => true }
+      )
+      await client.callTool('delete-workspace', { workspace_id: 'test-graph-id_b' })
+
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+    })
+
+    it('puts the question to the host through elicitation', async () => {
+      const server = createBridgeServer(client)
+      const host = new Client(
+        { name: 'host', version: '1.0.0' },
+        { capabilities: { elicitation: {} } }
+      )
+      const elicit = vi.fn().mockResolvedValue({ action: 'decline' })
+      host.setRequestHandler(ElicitRequestSchema, (request) => elicit(request.params))
+      const [hostSide, serverSide] = InMemoryTransport.createLinkedPair()
+      await server.connect(serverSide)
+      await host.connect(hostSide)
+
+      try {
+        const result = await host.callTool({
+          name: 'delete-workspace',
+          arguments: { workspace_id: 'test-graph-id_dev' },
+        })
+
+        expect(elicit.mock.calls[0][0].message).toMatch(/^Delete workspace test-graph-id_dev/)
+        expect(elicit.mock.calls[0][0].requestedSchema.required).toEqual(['confirm'])
+        expect(result.isError).toBe(true)
+        expect(fetchMock).not.toHaveBeenCalled()
+      } finally {
+        await host.close()
+      }
+    })
+
+    it('does not delete when the host fails to answer the form', async () => {
+      const server = createBridgeServer(client)
+      const host = new Client(
+        { name: 'host', version: '1.0.0' },
+        { capabilities: { elicitation: {} } }
+      )
+      host.setRequestHandler(ElicitRequestSchema, () => {
+        throw new Error('form crashed')
+      })
+      const [hostSide, serverSide] = InMemoryTransport.createLinkedPair()
+      await server.connect(serverSide)
+      await host.connect(hostSide)
+
+      try {
+        const result = await host.callTool({
+          name: 'delete-subgraph',
+          arguments: { subgraph_id: 'test-graph-id_dev' },
+        })
+
+        expect(result.isError).toBe(true)
+        expect(result.content[0].text).toMatch(/^Not deleted/)
+        expect(fetchMock).not.toHaveBeenCalled()
+      } finally {
+        await host.close()
+      }
+    })
+  })
+
+  describe('cancellation', () => {
+    it('stops retrying once the call is cancelled', async () => {
+      const controller = new AbortController()
+      fetchMock.mockImplementation(async () => {
+        controller.abort()
+        throw new Error('socket hang up')
+      })
+
+      const call = client.callTool('some-tool', {}, { signal: controller.signal })
+
+      await expect(call).rejects.toThrow('socket hang up')
+      expect(fetchMock).toHaveBeenCalledTimes(1)
+      expect(client.metrics.errors).toBe(0)
+    })
+
+    it('aborts the client-side workspace tools too', async () => {
+      fetchMock.mockImplementation(
+        (url, options) =>
+          new Promise((resolve, reject) => {
+            options.signal.addEventListener('abort', () => reject(options.signal.reason))
+          })
+      )
+      const controller = new AbortController()
+
+      const created = client.callTool(
+        'create-workspace',
+        { name: 'dev', fork_parent: true },
+        { signal: controller.signal }
+      )
+      const listed = client.callTool('list-workspaces', {}, { signal: controller.signal })
+      controller.abort()
+
+      await expect(created).rejects.toThrow()
+      await expect(listed).rejects.toThrow()
+      expect(fetchMock).toHaveBeenCalledTimes(2)
+      expect(client.activeGraphId).toBe('test-graph-id')
+    })
+
+    it('cancels a queued query only at the cancel_url the API gave', async () => {
+      const queued = (extra) => ({
+        ok: true,
+        status: 202,
+        headers: new Map([['content-type', 'application/json']]),
+        json: async () => ({ queued: true, queue_id: 'q1', ...extra }),
+      })
+
+      for (const extra of [{ cancel_url: 'https://api.example/queue/q1/cancel' }, {}]) {
+        fetchMock.mockReset()
+        fetchMock
+          .mockResolvedValueOnce(queued(extra))
+          .mockResolvedValueOnce({ ok: true, status: 200 })
+        const controller = new AbortController()
+
+        const call = client.callTool('execute-cypher', {}, { signal: controller.signal })
+        await vi.waitFor(() => expect(fetchMock).toHaveBeenCalledTimes(1))
+        // Cancelled while waiting to poll
+        await new Promise((resolve) => setTimeout(resolve, 10))
+        controller.abort()
+        await expect(call).rejects.toThrow()
+
+        const deletes = fetchMock.mock.calls.filter(([, options]) => options.method === 'DELETE')
+        expect(deletes.map(([url]) => url)).toEqual(extra.cancel_url ? [extra.cancel_url] : [])
+      }
+    })
+
+    it("aborts the bridge's request when the host cancels the call", async () => {
+      let requestSignal
+      fetchMock.mockImplementation(
+        (url, options) =>
+          new Promise((resolve, reject) => {
+            requestSignal = options.signal
+            options.signal.addEventListener('abort', () => reject(options.signal.reason))
+          })
+      )
+      const server = createBridgeServer(client)
+      const host = new Client({ name: 'host', version: '1.0.0' })
+      const [hostSide, serverSide] = InMemoryTransport.createLinkedPair()
+      await server.connect(serverSide)
+      await host.connect(hostSide)
+      const controller = new AbortController()
+
+      try {
+        const call = host.callTool({ name: 'some-tool', arguments: {} }, undefined, {
+          signal: controller.signal,
+        })
+        await vi.waitFor(() => expect(requestSignal).toBeDefined())
+        controller.abort()
+
+        await expect(call).rejects.toThrow()
+        await vi.waitFor(() => expect(requestSignal.aborted).toBe(true))
+        expect(fetchMock).toHaveBeenCalledTimes(1)
+      } finally {
+        await host.close()
+      }
+    })
+  })
+
   describe('callTool - caching', () => {
     it('should cache results for cacheable tools', async () => {
       const mockResult = { result: { type: 'text', text: 'test result' } }
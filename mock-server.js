@@ -0,0 +1,392 @@
+#!/usr/bin/env node
+
+/**
+ * Local stand-in for the RoboSystems API.
+ *
+ * Serves just enough of the platform for both modes of this package to run
+ * end-to-end against a real socket, without the hosted API:
+ *
+ *   - POST/GET/DELETE /v1/graphs/{graph_id}/mcp — the native MCP endpoint
+ *     (Streamable HTTP: sessions, JSON or SSE responses, the standalone
+ *     server stream) used by proxy mode;
+ *   - GET  /v1/graphs/{graph_id}/mcp/tools and POST .../mcp/call-tool, plus
+ *     GET .../query/{queue_id}/status and .../result — the REST endpoints the
+ *     legacy bridge aggregates.
+ *
+ * Each tool carries a scripted `behavior` deciding how a call is answered:
+ * `json` (a single body), `sse` (progress then chunked rows as an event
+ * stream), `ndjson` (chunked rows, one JSON object per line) or `queued`
+ * (202 with a queue id, answered through the status/result endpoints after
+ * `pollsUntilDone` polls). The MCP endpoint streams `sse` tools and answers
+ * the rest with plain JSON, as the hosted endpoint does.
+ *
+ * Run it directly (`node mock-server.js [--port 8765]`) and point
+ * ROBOSYSTEMS_API_URL (legacy) or ROBOSYSTEMS_MCP_URL (proxy) at it, or call
+ * startMockServer() from a test.
+ */
+
+import { createServer } from 'http'
+import { randomUUID } from 'crypto'
+
+const JSONRPC_METHOD_NOT_FOUND = -32601
+const JSONRPC_PARSE_ERROR = -32700
+const DEFAULT_PROTOCOL_VERSION = '2025-06-18'
+// Rows per query_chunk / data_chunk event when a result is streamed
+const CHUNK_ROWS = 2
+
+const SAMPLE_ROWS = {
+  columns: ['name', 'ticker'],
+  data: [
+    ['Apple Inc.', 'AAPL'],
+    ['Microsoft Corp.', 'MSFT'],
+    ['NVIDIA Corp.', 'NVDA'],
+  ],
+}
+
+export const DEFAULT_TOOLS = [
+  {
+    name: 'get-graph-info',
+    description: 'Summary of the graph: node and relationship counts',
+    inputSchema: { type: 'object', properties: {} },
+    behavior: 'json',
+    result: (_args, graphId) => ({ graph_id: graphId, node_count: 3, relationship_count: 0 }),
+  },
+  {
+    name: 'get-graph-schema',
+    description: 'Node labels, relationship types and their properties',
+    inputSchema: { type: 'object', properties: {} },
+    behavior: 'json',
+    result: { labels: ['Entity'], relationships: [] },
+  },
+  {
+    name: 'execute-cypher',
+    description: 'Run a read-only Cypher query against the graph',
+    inputSchema: {
+      type: 'object',
+      properties: { query: { type: 'string' }, parameters: { type: 'object' } },
+      required: ['query'],
+    },
+    behavior: 'sse',
+    result: SAMPLE_ROWS,
+  },
+]
+
+// Tool definitions as the API lists them: the scripting fields stay private.
+function publicTool({ name, description, inputSchema }) {
+  return { name, description, inputSchema }
+}
+
+function chunksOf(result) {
+  if (!result || !Array.isArray(result.data)) return [result]
+  const chunks = []
+  for (let i = 0; i < result.data.length; i += CHUNK_ROWS) {
+    chunks.push({ columns: result.columns, data: result.data.slice(i, i + CHUNK_ROWS) })
+  }
+  return chunks.length > 0 ? chunks : [{ columns: result.columns, data: [] }]
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    let body = ''
+    req.setEncoding('utf8')
+    req.on('data', (chunk) => (body += chunk))
+    req.on('end', () => resolve(body))
+    req.on('error', reject)
+  })
+}
+
+function sendJSON(res, status, body, headers = {}) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers })
+  res.end(JSON.stringify(body))
+}
+
+/**
+ * Start the mock server and resolve once it is listening. `port: 0` (the
+ * default) picks a free port; the bound address is on the returned
+ * `baseUrl`. Options:
+ *
+ *   - `apiKey`: when set, requests without a matching X-API-Key get a 401;
+ *   - `tools`: tool definitions (see DEFAULT_TOOLS) — `result` may be a value
+ *     or a function of (arguments, graphId), `error` makes the call fail;
+ *   - `behaviors`: per-tool overrides of `behavior`, by tool name;
+ *   - `instructions`: the per-graph guidance returned at initialize and by
+ *     the legacy tool listing;
+ *   - `pollsUntilDone`: status polls a queued call reports `running` for.
+ *
+ * Every request is appended to `requests` ({ method, path, headers, body })
+ * so tests can assert on what reached the wire. `notify(message)` pushes a
+ * server-initiated JSON-RPC message down every open GET stream.
+ */
+export function startMockServer({
+  port = 0,
+  host = '127.0.0.1',
+  apiKey = null,
+  tools = DEFAULT_TOOLS,
+  behaviors = {},
+  instructions = 'Mock RoboSystems graph for local development.',
+  pollsUntilDone = 1,
+} = {}) {
+  const requests = []
+  const sessions = new Map() // session id -> Set of open GET stream responses
+  const queue = new Map() // queue id -> { polls, tool, args, graphId }
+
+  const findTool = (name) => tools.find((tool) => tool.name === name)
+  const behaviorOf = (tool) => behaviors[tool.name] || tool.behavior || 'json'
+  const resultOf = (tool, args, graphId) =>
+    typeof tool.result === 'function' ? tool.result(args, graphId) : (tool.result ?? {})
+
+  // --- Legacy REST endpoints --------------------------------------------
+
+  const legacyCallTool = (req, res, graphId, body) => {
+    let call
+    try {
+      call = JSON.parse(body)
+    } catch {
+      return sendJSON(res, 400, { detail: 'Request body is not JSON' })
+    }
+    const tool = findTool(call.name)
+    if (!tool) return sendJSON(res, 404, { detail: `Unknown tool: ${call.name}` })
+    const args = call.arguments || {}
+
+    switch (behaviorOf(tool)) {
+      case 'sse': {
+        res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+        const event = (name, data) =>
+          res.write(`data: ${JSON.stringify({ event: name, data })}\n\n`)
+        event('operation_progress', { percentage: 50, message: `Running ${tool.name}` })
+        if (tool.error) {
+          event('operation_error', { error: tool.error })
+        } else {
+          for (const chunk of chunksOf(resultOf(tool, args, graphId))) event('query_chunk', chunk)
+          event('complete', { message: 'done' })
+        }
+        return res.end()
+      }
+      case 'ndjson': {
+        res.writeHead(200, { 'Content-Type': 'application/x-ndjson' })
+        if (tool.error) {
+          res.write(JSON.stringify({ event: 'error', data: { error: tool.error } }) + '\n')
+        } else {
+          for (const chunk of chunksOf(resultOf(tool, args, graphId))) {
+            res.write(JSON.stringify({ event: 'data_chunk', data: chunk }) + '\n')
+          }
+        }
+        return res.end()
+      }
+      case 'queued': {
+        const queueId = randomUUID()
+        queue.set(queueId, { polls: 0, tool, args, graphId })
+        return sendJSON(res, 202, { queued: true, queue_id: queueId })
+      }
+      default:
+        if (tool.error) return sendJSON(res, 500, { detail: tool.error })
+        return sendJSON(res, 200, {
+          result: { type: 'text', text: JSON.stringify(resultOf(tool, args, graphId)) },
+        })
+    }
+  }
+
+  const queueStatus = (res, queueId, part) => {
+    const job = queue.get(queueId)
+    if (!job) return sendJSON(res, 404, { detail: `Unknown queue id: ${queueId}` })
+    if (part === 'result') return sendJSON(res, 200, resultOf(job.tool, job.args, job.graphId))
+    job.polls++
+    if (job.polls <= pollsUntilDone) return sendJSON(res, 200, { status: 'running' })
+    if (job.tool.error) return sendJSON(res, 200, { status: 'failed', error: job.tool.error })
+    return sendJSON(res, 200, { status: 'completed' })
+  }
+
+  // --- Streamable HTTP MCP endpoint -------------------------------------
+
+  const callToolResult = (tool, args, graphId) => ({
+    content: [
+      {
+        type: 'text',
+        text: tool.error ?? JSON.stringify(resultOf(tool, args, graphId)),
+      },
+    ],
+    ...(tool.error ? { isError: true } : {}),
+  })
+
+  const answer = (message, graphId) => {
+    const reply = (result) => ({ jsonrpc: '2.0', id: message.id, result })
+    switch (message.method) {
+      case 'initialize':
+        return reply({
+          protocolVersion: message.params?.protocolVersion || DEFAULT_PROTOCOL_VERSION,
+          capabilities: { tools: { listChanged: true } },
+          serverInfo: { name: 'robosystems-mock', version: '0.0.0' },
+          instructions,
+        })
+      case 'ping':
+        return reply({})
+      case 'tools/list':
+        return reply({ tools: tools.map(publicTool) })
+      case 'tools/call': {
+        const tool = findTool(message.params?.name)
+        if (!tool) {
+          return {
+            jsonrpc: '2.0',
+            id: message.id,
+            error: { code: -32602, message: `Unknown tool: ${message.params?.name}` },
+          }
+        }
+        return reply(callToolResult(tool, message.params?.arguments || {}, graphId))
+      }
+      default:
+        return {
+          jsonrpc: '2.0',
+          id: message.id,
+          error: { code: JSONRPC_METHOD_NOT_FOUND, message: `Method not found: ${message.method}` },
+        }
+    }
+  }
+
+  const mcpPost = (req, res, graphId, body) => {
+    let parsed
+    try {
+      parsed = JSON.parse(body)
+    } catch {
+      return sendJSON(res, 400, {
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: JSONRPC_PARSE_ERROR, message: 'Parse error' },
+      })
+    }
+    const messages = Array.isArray(parsed) ? parsed : [parsed]
+    const isInitialize = messages.some((message) => message?.method === 'initialize')
+    const headers = {}
+    if (isInitialize) {
+      headers['Mcp-Session-Id'] = randomUUID()
+      sessions.set(headers['Mcp-Session-Id'], new Set())
+    } else if (!sessions.has(req.headers['mcp-session-id'])) {
+      return sendJSON(res, 404, { detail: 'Unknown or expired session' })
+    }
+
+    const calls = messages.filter((message) => message?.method && message.id !== undefined)
+    if (calls.length === 0) {
+      res.writeHead(202)
+      return res.end()
+    }
+    const replies = calls.map((message) => answer(message, graphId))
+    if (Array.isArray(parsed)) return sendJSON(res, 200, replies, headers)
+
+    // A single call to a streaming tool is answered as an event stream, with
+    // a progress notification when the client asked for one.
+    const [call] = calls
+    const tool = call.method === 'tools/call' && findTool(call.params?.name)
+    const acceptsSSE = (req.headers.accept || '').includes('text/event-stream')
+    if (!tool || behaviorOf(tool) !== 'sse' || !acceptsSSE) {
+      return sendJSON(res, 200, replies[0], headers)
+    }
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+    let eventId = 0
+    const event = (message) => res.write(`id: ${++eventId}\ndata: ${JSON.stringify(message)}\n\n`)
+    const progressToken = call.params?._meta?.progressToken
+    if (progressToken !== undefined) {
+      event({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken, progress: 50, total: 100, message: `Running ${tool.name}` },
+      })
+    }
+    event(replies[0])
+    res.end()
+  }
+
+  const mcpStream = (req, res) => {
+    const streams = sessions.get(req.headers['mcp-session-id'])
+    if (!streams) return sendJSON(res, 404, { detail: 'Unknown or expired session' })
+    res.writeHead(200, { 'Content-Type': 'text/event-stream', 'Cache-Control': 'no-cache' })
+    res.write(': stream open\n\n')
+    streams.add(res)
+    req.on('close', () => streams.delete(res))
+  }
+
+  const mcpDelete = (req, res) => {
+    const id = req.headers['mcp-session-id']
+    const streams = sessions.get(id)
+    if (!streams) return sendJSON(res, 404, { detail: 'Unknown or expired session' })
+    for (const stream of streams) stream.end()
+    sessions.delete(id)
+    res.writeHead(204)
+    res.end()
+  }
+
+  // --- Routing ----------------------------------------------------------
+
+  const route = async (req, res) => {
+    const { pathname } = new URL(req.url, 'http://localhost')
+    const body = req.method === 'POST' ? await readBody(req) : ''
+    requests.push({ method: req.method, path: pathname, headers: req.headers, body })
+
+    if (apiKey && req.headers['x-api-key'] !== apiKey) {
+      return sendJSON(res, 401, { detail: 'Invalid API key' })
+    }
+
+    const match = pathname.match(/^\/v1\/graphs\/([^/]+)\/(mcp|query)(?:\/(.*))?$/)
+    if (!match) return sendJSON(res, 404, { detail: 'Not found' })
+    const [, graphId, area, rest = ''] = match
+
+    if (area === 'mcp' && rest === '') {
+      if (req.method === 'POST') return mcpPost(req, res, graphId, body)
+      if (req.method === 'GET') return mcpStream(req, res)
+      if (req.method === 'DELETE') return mcpDelete(req, res)
+    } else if (area === 'mcp' && rest === 'tools' && req.method === 'GET') {
+      return sendJSON(res, 200, { tools: tools.map(publicTool), instructions })
+    } else if (area === 'mcp' && rest === 'call-tool' && req.method === 'POST') {
+      return legacyCallTool(req, res, graphId, body)
+    } else if (area === 'query' && req.method === 'GET') {
+      const [queueId, part] = rest.split('/')
+      if (part === 'status' || part === 'result') return queueStatus(res, queueId, part)
+    }
+    return sendJSON(res, 405, { detail: 'Method not allowed' })
+  }
+
+  const server = createServer((req, res) => {
+    route(req, res).catch((error) => {
+      console.error(`Mock server: ${error.message}`)
+      if (!res.headersSent) sendJSON(res, 500, { detail: error.message })
+      else res.end()
+    })
+  })
+
+  return new Promise((resolve, reject) => {
+    server.once('error', reject)
+    server.listen(port, host, () => {
+      const { port: bound } = server.address()
+      const baseUrl = `http://${host}:${bound}`
+      resolve({
+        baseUrl,
+        mcpUrl: (graphId) => `${baseUrl}/v1/graphs/${graphId}/mcp`,
+        requests,
+        notify(message) {
+          for (const streams of sessions.values()) {
+            for (const stream of streams) stream.write(`data: ${JSON.stringify(message)}\n\n`)
+          }
+        },
+        close() {
+          for (const streams of sessions.values()) {
+            for (const stream of streams) stream.end()
+          }
+          server.closeAllConnections()
+          return new Promise((done) => server.close(() => done()))
+        },
+      })
+    })
+  })
+}
+
+// Running the file directly starts a server on --port (default 8765) until
+// interrupted.
+if (import.meta.url === `file://${process.argv[1]}`) {
+  const portIndex = process.argv.indexOf('--port')
+  const port = portIndex === -1 ? 8765 : Number(process.argv[portIndex + 1])
+  const mock = await startMockServer({ port, apiKey: process.env.ROBOSYSTEMS_API_KEY || null })
+  console.error(`Mock RoboSystems API listening on ${mock.baseUrl}`)
+  console.error(`  proxy mode:  ROBOSYSTEMS_MCP_URL=${mock.mcpUrl('kg-mock')}`)
+  console.error(`  legacy mode: ROBOSYSTEMS_API_URL=${mock.baseUrl} ROBOSYSTEMS_GRAPH_ID=kg-mock`)
+  const stop = () => mock.close().then(() => process.exit(0))
+  process.on('SIGINT', stop)
+  process.on('SIGTERM', stop)
+}
@@ -0,0 +1,322 @@
+// @vitest-environment node
+
+/**
+ * End-to-end tests: both modes against the bundled mock server over a real
+ * socket, with the real fetch.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { startMockServer } from './mock-server.js'
+import { createMultiGraphProxy, createProxy, createProxyClient } from './proxy.js'
+import { RoboSystemsMCPClient, createBridgeServer } from './index.js'
+import { startHttpListener } from './http-listener.js'
+import { createToolFilter } from './tool-filter.js'
+
+const GRAPH = 'kg-mock'
+
+function makeOutput() {
+  const lines = []
+  return {
+    write: (chunk) => {
+      lines.push(chunk)
+      return true
+    },
+    messages: () => lines.map((l) => JSON.parse(l)),
+  }
+}
+
+const request = (id, method, params) => JSON.stringify({ jsonrpc: '2.0', id, method, params })
+const INITIALIZED = '{"jsonrpc":"2.0","method":"notifications/initialized"}'
+
+async function waitFor(condition) {
+  for (let i = 0; i < 100 && !condition(); i++) {
+    await new Promise((resolve) => setTimeout(resolve, 10))
+  }
+  expect(condition()).toBe(true)
+}
+
+describe('mock server', () => {
+  let mock
+
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(async () => {
+    await mock?.close()
+    mock = null
+    console.error.mockRestore()
+  })
+
+  describe('proxy mode', () => {
+    it('runs a full session: handshake, listing, streamed call with progress, teardown', async () => {
+      mock = await startMockServer({ apiKey: 'rfs-test' })
+      const output = makeOutput()
+      const proxy = createProxy({
+        url: mock.mcpUrl(GRAPH),
+        apiKey: 'rfs-test',
+        version: '1.0.0',
+        output,
+        listen: false,
+      })
+
+      await proxy.handleLine(request(0, 'initialize', { protocolVersion: '2025-06-18' }))
+      await proxy.handleLine(INITIALIZED)
+      await proxy.handleLine(request(1, 'tools/list'))
+      await proxy.handleLine(
+        request(2, 'tools/call', {
+          name: 'execute-cypher',
+          arguments: { query: 'MATCH (n) RETURN n' },
+          _meta: { progressToken: 'p1' },
+        })
+      )
+      const sessionId = proxy.getSessionId()
+      await proxy.close()
+
+      const [init, tools, progress, call] = output.messages()
+      expect(init.result.instructions).toContain('Mock RoboSystems')
+      expect(tools.result.tools.map((tool) => tool.name)).toContain('execute-cypher')
+      expect(tools.result.tools[0]).not.toHaveProperty('behavior')
+      expect(progress).toMatchObject({
+        method: 'notifications/progress',
+        params: { progressToken: 'p1' },
+      })
+      expect(JSON.parse(call.result.content[0].text).data).toHaveLength(3)
+
+      expect(sessionId).toBeTruthy()
+      const deleted = mock.requests.find((r) => r.method === 'DELETE')
+      expect(deleted.headers['mcp-session-id']).toBe(sessionId)
+    })
+
+    it('relays server-initiated messages from the standalone stream', async () => {
+      mock = await startMockServer()
+      const output = makeOutput()
+      const proxy = createProxy({ url: mock.mcpUrl(GRAPH), version: '1.0.0', output })
+
+      await proxy.handleLine(request(0, 'initialize', {}))
+      await proxy.handleLine(INITIALIZED)
+      await waitFor(() => mock.requests.some((r) => r.method === 'GET'))
+      // Give the stream a moment to be registered server-side
+      await new Promise((resolve) => setTimeout(resolve, 20))
+      mock.notify({ jsonrpc: '2.0', method: 'notifications/tools/list_changed' })
+      await waitFor(() => output.messages().length === 2)
+      await proxy.close()
+
+      expect(output.messages()[1].method).toBe('notifications/tools/list_changed')
+    })
+
+    it('fronts several graphs from one proxy', async () => {
+      mock = await startMockServer()
+      const output = makeOutput()
+      const proxy = createMultiGraphProxy({
+        graphs: ['sec', 'kg1'].map((id) => ({ alias: id, url: mock.mcpUrl(id) })),
+        version: '1.0.0',
+        output,
+        listen: false,
+      })
+
+      await proxy.submit(request(0, 'initialize', {}))
+      await proxy.submit(INITIALIZED)
+      await proxy.submit(request(1, 'tools/list'))
+      await proxy.submit(request(2, 'tools/call', { name: 'kg1__get-graph-info', arguments: {} }))
+      await proxy.close()
+
+      const [, tools, call] = output.messages()
+      expect(tools.result.tools).toHaveLength(6)
+      expect(JSON.parse(call.result.content[0].text).graph_id).toBe('kg1')
+      expect(mock.requests.filter((r) => r.method === 'DELETE')).toHaveLength(2)
+    })
+
+    it('drives a session in-process for the tools and call subcommands', async () => {
+      mock = await startMockServer({ apiKey: 'rfs-test' })
+      const onNotification = vi.fn()
+      const client = createProxyClient({
+        url: mock.mcpUrl(GRAPH),
+        apiKey: 'rfs-test',
+        version: '1.0.0',
+        onNotification,
+      })
+
+      await client.initialize()
+      const tools = await client.listTools()
+      const result = await client.callTool(
+        'execute-cypher',
+        { query: 'MATCH (n) RETURN n' },
+        { progressToken: 1 }
+      )
+      const unknown = client.callTool('nope', {})
+      await expect(unknown).rejects.toThrow('Unknown tool: nope')
+      await client.close()
+
+      expect(tools.map((tool) => tool.name)).toContain('execute-cypher')
+      expect(JSON.parse(result.content[0].text).data).toHaveLength(3)
+      expect(onNotification).toHaveBeenCalledWith(
+        expect.objectContaining({ method: 'notifications/progress' })
+      )
+      expect(mock.requests.some((r) => r.method === 'DELETE')).toBe(true)
+    })
+
+    it('rejects a missing API key and an unknown session', async () => {
+      mock = await startMockServer({ apiKey: 'rfs-test' })
+      const url = mock.mcpUrl(GRAPH)
+      const post = (headers) =>
+        fetch(url, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json', ...headers },
+          body: request(1, 'tools/list'),
+        })
+
+      expect((await post({})).status).toBe(401)
+      expect((await post({ 'X-API-Key': 'rfs-test', 'Mcp-Session-Id': 'stale' })).status).toBe(404)
+    })
+  })
+
+  describe('legacy bridge mode', () => {
+    const client = () => new RoboSystemsMCPClient(mock.baseUrl, 'rfs-test', GRAPH)
+
+    it('lists tools and instructions from the REST endpoint', async () => {
+      mock = await startMockServer({ apiKey: 'rfs-test', instructions: 'Use execute-cypher.' })
+      const bridge = client()
+
+      const tools = await bridge.getTools()
+
+      expect(tools.map((tool) => tool.name)).toEqual(
+        expect.arrayContaining(['get-graph-info', 'execute-cypher', 'create-workspace'])
+      )
+      expect(bridge.instructions).toBe('Use execute-cypher.')
+    })
+
+    it.each(['json', 'sse', 'ndjson'])('answers a %s tool call', async (behavior) => {
+      mock = await startMockServer({ behaviors: { 'execute-cypher': behavior } })
+
+      const result = await client().callTool('execute-cypher', { query: 'MATCH (n) RETURN n' })
+
+      expect(JSON.parse(result.text).data).toHaveLength(3)
+    })
+
+    it('answers a queued call through the status and result endpoints', async () => {
+      mock = await startMockServer({ behaviors: { 'execute-cypher': 'queued' }, pollsUntilDone: 0 })
+
+      const result = await client().callTool('execute-cypher', { query: 'MATCH (n) RETURN n' })
+
+      expect(JSON.parse(result.text).data).toHaveLength(3)
+      const paths = mock.requests.map((r) => r.path)
+      expect(paths.some((path) => path.endsWith('/status'))).toBe(true)
+      expect(paths.some((path) => path.endsWith('/result'))).toBe(true)
+    })
+
+    it('stops polling a cancelled queued call', async () => {
+      mock = await startMockServer({
+        behaviors: { 'execute-cypher': 'queued' },
+        pollsUntilDone: 100,
+      })
+      const controller = new AbortController()
+
+      const call = client().callTool(
+        'execute-cypher',
+        { query: 'MATCH (n) RETURN n' },
+        { signal: controller.signal }
+      )
+      await waitFor(() => mock.requests.some((r) => r.path.endsWith('/call-tool')))
+      controller.abort()
+
+      await expect(call).rejects.toThrow()
+      expect(mock.requests.some((r) => r.path.endsWith('/status'))).toBe(false)
+      expect(mock.requests.some((r) => r.method === 'DELETE')).toBe(false)
+    })
+
+    it('serves the bridge to HTTP hosts over the local listener', async () => {
+      mock = await startMockServer({ apiKey: 'rfs-test', instructions: 'Use execute-cypher.' })
+      const clients = []
+      const listener = await startHttpListener({
+        createServer: () => {
+          clients.push(client())
+          return createBridgeServer(clients.at(-1), 'Use execute-cypher.')
+        },
+      })
+      const session = createProxyClient({ url: listener.url, version: '1.0.0' })
+
+      try {
+        const init = await session.initialize()
+        const tools = await session.listTools()
+        const info = await session.callTool('get-graph-info', {})
+
+        expect(init.instructions).toBe('Use execute-cypher.')
+        expect(tools.map((tool) => tool.name)).toContain('create-workspace')
+        expect(JSON.parse(info.content[0].text).graph_id).toBe(GRAPH)
+        expect(listener.sessions).toBe(1)
+      } finally {
+        await session.close()
+        await listener.close()
+      }
+      expect(listener.sessions).toBe(0)
+      // One bridge for the session, not one per request
+      expect(clients).toHaveLength(1)
+    })
+
+    it.each([
+      ['sse', { progress: 50, total: 100, message: 'Running execute-cypher' }],
+      ['ndjson', { progress: 1, message: expect.stringMatching(/^Received 1 chunk/) }],
+      ['queued', { progress: 1, message: 'Query completed' }],
+    ])('reports %s progress to a host that asked for it', async (behavior, expected) => {
+      mock = await startMockServer({ behaviors: { 'execute-cypher': behavior }, pollsUntilDone: 0 })
+      const listener = await startHttpListener({
+        createServer: () => createBridgeServer(client()),
+      })
+      const onNotification = vi.fn()
+      const session = createProxyClient({ url: listener.url, version: '1.0.0', onNotification })
+
+      try {
+        await session.initialize()
+        await session.callTool(
+          'execute-cypher',
+          { query: 'MATCH (n) RETURN n' },
+          { progressToken: 'p1' }
+        )
+      } finally {
+        await session.close()
+        await listener.close()
+      }
+      expect(onNotification).toHaveBeenCalledWith({
+        jsonrpc: '2.0',
+        method: 'notifications/progress',
+        params: { progressToken: 'p1', ...expected },
+      })
+    })
+
+    it('answers a call to a filtered tool with a JSON-RPC error', async () => {
+      mock = await startMockServer()
+      const toolFilter = createToolFilter({ allow: 'get-*' })
+      const listener = await startHttpListener({
+        createServer: () =>
+          createBridgeServer(
+            new RoboSystemsMCPClient(mock.baseUrl, 'rfs-test', GRAPH, { toolFilter })
+          ),
+      })
+      const session = createProxyClient({ url: listener.url, version: '1.0.0' })
+
+      try {
+        await session.initialize()
+        const tools = await session.listTools()
+        const refused = session.callTool('execute-cypher', { query: 'MATCH (n) RETURN n' })
+
+        expect(tools.map((tool) => tool.name)).toEqual(['get-graph-info', 'get-graph-schema'])
+        await expect(refused).rejects.toMatchObject({ code: -32602 })
+      } finally {
+        await session.close()
+        await listener.close()
+      }
+      expect(mock.requests.some((r) => r.path.endsWith('/call-tool'))).toBe(false)
+    })
+
+    it('surfaces a scripted tool failure', async () => {
+      mock = await startMockServer({
+        tools: [{ name: 'execute-cypher', behavior: 'sse', error: 'Query timed out' }],
+      })
+
+      const result = await client().callTool('execute-cypher', { query: 'MATCH (n) RETURN n' })
+
+      expect(result.text).toContain('Query timed out')
+    })
+  })
+})
@@ -0,0 +1,391 @@
+/**
+ * OAuth 2.1 authorization for proxy mode.
+ *
+ * For users without a long-lived API key: when the MCP endpoint answers 401,
+ * the proxy discovers the authorization server from the endpoint's protected
+ * resource metadata (RFC 9728, pointed to by the `WWW-Authenticate`
+ * challenge or found at the well-known location), registers itself as a
+ * public client if the server supports dynamic registration (RFC 7591), and
+ * runs the authorization code flow with PKCE (S256) through a loopback
+ * redirect on 127.0.0.1 (RFC 8252). Tokens are stored on disk, refreshed
+ * before they expire, and attached as `Authorization: Bearer`.
+ *
+ * stdout belongs to the JSON-RPC stream, so everything the user needs to see
+ * — the authorization URL in particular — goes to stderr.
+ */
+
+import { createServer } from 'http'
+import { createHash, randomBytes } from 'crypto'
+import { spawn } from 'child_process'
+import { chmodSync, mkdirSync, readFileSync, renameSync, writeFileSync } from 'fs'
+import { homedir } from 'os'
+import { dirname, join } from 'path'
+
+// Refresh this long before the access token's stated expiry
+const REFRESH_MARGIN_MS = 60000
+// How long the user has to finish signing in before the flow is abandoned
+const DEFAULT_CALLBACK_TIMEOUT_MS = 5 * 60 * 1000
+const CALLBACK_PATH = '/callback'
+
+export const DEFAULT_TOKEN_STORE = join(homedir(), '.config', 'robosystems-mcp', 'oauth.json')
+
+function base64url(buffer) {
+  return buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+}
+
+/**
+ * A fresh PKCE verifier and its S256 challenge (RFC 7636).
+ */
+export function createPkcePair() {
+  const verifier = base64url(randomBytes(32))
+  const challenge = base64url(createHash('sha256').update(verifier).digest())
+  return { verifier, challenge }
+}
+
+/**
+ * The `resource_metadata` URL from a `WWW-Authenticate: Bearer ...`
+ * challenge, or null when the challenge carries none.
+ */
+export function parseResourceMetadataUrl(challenge) {
+  const match = /resource_metadata="([^"]+)"/i.exec(challenge || '')
+  return match ? match[1] : null
+}
+
+/**
+ * JSON file of secrets by key — here, OAuth state by resource URL: the
+ * registered client and its tokens (credentials.js keeps API keys the same
+ * way). The file and its directory are readable by the owner only, and
+ * writes go through a rename so a crash never leaves it half-written.
+ */
+export function createTokenStore(path = DEFAULT_TOKEN_STORE) {
+  const readAll = () => {
+    try {
+      return JSON.parse(readFileSync(path, 'utf8'))
+    } catch {
+      return {}
+    }
+  }
+
+  return {
+    path,
+    get(key) {
+      return readAll()[key] ?? null
+    },
+    set(key, value) {
+      const all = readAll()
+      if (value === null) delete all[key]
+      else all[key] = value
+      mkdirSync(dirname(path), { recursive: true, mode: 0o700 })
+      const temp = `${path}.${process.pid}.tmp`
+      writeFileSync(temp, JSON.stringify(all, null, 2) + '\n', { mode: 0o600 })
+      chmodSync(temp, 0o600)
+      renameSync(temp, path)
+    },
+  }
+}
+
+// Best effort: the URL is printed on stderr regardless, for hosts where no
+// browser can be launched.
+function defaultOpenBrowser(url) {
+  const [command, args] =
+    process.platform === 'darwin'
+      ? ['open', [url]]
+      : process.platform === 'win32'
+        ? ['cmd', ['/c', 'start', '', url]]
+        : ['xdg-open', [url]]
+  try {
+    const child = spawn(command, args, { detached: true, stdio: 'ignore' })
+    child.on('error', () => {})
+    child.unref()
+  } catch {
+    // Nothing to do: the printed URL is the fallback
+  }
+}
+
+/**
+ * Listen on the loopback interface for the authorization server's redirect.
+ * `port: 0` picks a free port. Resolves to { redirectUri, result, close }
+ * where `result` settles with the query parameters of the first callback.
+ */
+function listenForCallback(port) {
+  return new Promise((resolve, reject) => {
+    let settle
+    const result = new Promise((resolveResult, rejectResult) => {
+      settle = { resolve: resolveResult, reject: rejectResult }
+    })
+    const server = createServer((req, res) => {
+      const { pathname, searchParams } = new URL(req.url, 'http://127.0.0.1')
+      if (pathname !== CALLBACK_PATH) {
+        res.writeHead(404)
+        return res.end()
+      }
+      const ok = !searchParams.get('error')
+      res.writeHead(ok ? 200 : 400, { 'Content-Type': 'text/html; charset=utf-8' })
+      res.end(
+        ok
+          ? '<p>Signed in to RoboSystems. You can close this window.</p>'
+          : '<p>Authorization failed. You can close this window.</p>'
+      )
+      settle.resolve(Object.fromEntries(searchParams))
+    })
+    server.once('error', reject)
+    server.listen(port, '127.0.0.1', () => {
+      resolve({
+        redirectUri: `http://127.0.0.1:${server.address().port}${CALLBACK_PATH}`,
+        result,
+        close: () => {
+          settle.reject(new Error('authorization abandoned'))
+          server.closeAllConnections()
+          server.close()
+        },
+      })
+    })
+  })
+}
+
+/**
+ * OAuth for one MCP endpoint (`resource`). The proxy calls
+ * `authorizationHeader()` when building each request, `refreshIfExpiring()`
+ * before sending, and `handleUnauthorized(challenge)` on a 401; concurrent
+ * 401s share one authorization. `openBrowser` and `fetchImpl` are injectable
+ * for tests.
+ */
+export function createOAuth({
+  resource,
+  store = createTokenStore(),
+  fetchImpl = fetch,
+  openBrowser = defaultOpenBrowser,
+  clientName = 'RoboSystems MCP',
+  scope,
+  callbackTimeoutMs = DEFAULT_CALLBACK_TIMEOUT_MS,
+}) {
+  const key = (() => {
+    const parsed = new URL(resource)
+    return `${parsed.origin}${parsed.pathname}`
+  })()
+  let saved = store.get(key) || {}
+  let authorizing = null
+
+  const save = (changes) => {
+    saved = { ...saved, ...changes }
+    store.set(key, saved)
+  }
+
+  const getJSON = async (url) => {
+    try {
+      const response = await fetchImpl(url, { headers: { Accept: 'application/json' } })
+      if (!response.ok) return null
+      return await response.json()
+    } catch {
+      return null
+    }
+  }
+
+  const postForm = async (endpoint, params) => {
+    const response = await fetchImpl(endpoint, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/x-www-form-urlencoded',
+        Accept: 'application/json',
+      },
+      body: new URLSearchParams(params).toString(),
+    })
+    const body = await response.json().catch(() => ({}))
+    if (!response.ok) {
+      const reason = body.error_description || body.error || `HTTP ${response.status}`
+      throw new Error(`token endpoint rejected the request: ${reason}`)
+    }
+    return body
+  }
+
+  /**
+   * Protected resource metadata, then the authorization server's metadata.
+   * The challenge's `resource_metadata` URL wins; otherwise the well-known
+   * locations for the endpoint path and for the origin are tried in turn.
+   */
+  const discover = async (challenge) => {
+    const { origin, pathname } = new URL(resource)
+    const candidates = [
+      parseResourceMetadataUrl(challenge),
+      `${origin}/.well-known/oauth-protected-resource${pathname}`,
+      `${origin}/.well-known/oauth-protected-resource`,
+    ].filter(Boolean)
+    let resourceMetadata = null
+    for (const candidate of candidates) {
+      resourceMetadata = await getJSON(candidate)
+      if (resourceMetadata) break
+    }
+    const issuer = resourceMetadata?.authorization_servers?.[0]
+    if (!issuer) {
+      throw new Error(`${origin} does not advertise an OAuth authorization server`)
+    }
+
+    const issuerUrl = new URL(issuer)
+    const issuerPath = issuerUrl.pathname === '/' ? '' : issuerUrl.pathname
+    for (const wellKnown of ['oauth-authorization-server', 'openid-configuration']) {
+      const metadata = await getJSON(`${issuerUrl.origin}/.well-known/${wellKnown}${issuerPath}`)
+      if (metadata?.authorization_endpoint && metadata?.token_endpoint) {
+        return { issuer, metadata, scope: scope ?? resourceMetadata.scopes_supported?.join(' ') }
+      }
+    }
+    throw new Error(`no authorization server metadata found for ${issuer}`)
+  }
+
+  const register = async (metadata, redirectUri) => {
+    if (!metadata.registration_endpoint) {
+      throw new Error('the authorization server requires a pre-registered client')
+    }
+    const response = await fetchImpl(metadata.registration_endpoint, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', Accept: 'application/json' },
+      body: JSON.stringify({
+        client_name: clientName,
+        redirect_uris: [redirectUri],
+        grant_types: ['authorization_code', 'refresh_token'],
+        response_types: ['code'],
+        token_endpoint_auth_method: 'none',
+      }),
+    })
+    if (!response.ok) {
+      throw new Error(`client registration failed with HTTP ${response.status}`)
+    }
+    const client = await response.json()
+    return { client_id: client.client_id, redirect_uri: redirectUri }
+  }
+
+  const storeTokens = (tokens, tokenEndpoint, clientId) => {
+    save({
+      token_endpoint: tokenEndpoint,
+      client_id: clientId,
+      access_token: tokens.access_token,
+      // A refresh response may omit the refresh token to mean "keep using it"
+      refresh_token: tokens.refresh_token ?? saved.refresh_token ?? null,
+      expires_at: tokens.expires_in ? Date.now() + tokens.expires_in * 1000 : null,
+    })
+  }
+
+  const refresh = async () => {
+    const tokens = await postForm(saved.token_endpoint, {
+      grant_type: 'refresh_token',
+      refresh_token: saved.refresh_token,
+      client_id: saved.client_id,
+      resource: key,
+    })
+    storeTokens(tokens, saved.token_endpoint, saved.client_id)
+  }
+
+  /**
+   * The browser flow. The loopback listener reuses the redirect URI the
+   * client was registered with when that port is free; otherwise the client
+   * is registered again for whatever port is available.
+   */
+  const authorize = async (challenge) => {
+    const { issuer, metadata, scope: requestedScope } = await discover(challenge)
+    let client = saved.issuer === issuer ? saved.client : null
+    let callback = null
+    if (client?.redirect_uri) {
+      callback = await listenForCallback(new URL(client.redirect_uri).port).catch(() => null)
+      if (!callback) client = null
+    }
+    callback = callback || (await listenForCallback(0))
+
+    try {
+      if (!client) {
+        client = await register(metadata, callback.redirectUri)
+        save({ issuer, client })
+      }
+
+      const pkce = createPkcePair()
+      const state = base64url(randomBytes(16))
+      const authorizationUrl = new URL(metadata.authorization_endpoint)
+      authorizationUrl.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: client.client_id,
+        redirect_uri: callback.redirectUri,
+        code_challenge: pkce.challenge,
+        code_challenge_method: 'S256',
+        state,
+        resource: key,
+        ...(requestedScope ? { scope: requestedScope } : {}),
+      }).toString()
+
+      console.error('Proxy: sign in to RoboSystems to continue. Opening your browser at:')
+      console.error(`  ${authorizationUrl}`)
+      openBrowser(authorizationUrl.toString())
+
+      let timer
+      const timeout = new Promise((_, reject) => {
+        timer = setTimeout(
+          () => reject(new Error('timed out waiting for the authorization redirect')),
+          callbackTimeoutMs
+        )
+      })
+      const params = await Promise.race([callback.result, timeout]).finally(() =>
+        clearTimeout(timer)
+      )
+      if (params.error) {
+        throw new Error(`authorization denied: ${params.error_description || params.error}`)
+      }
+      if (params.state !== state) {
+        throw new Error('authorization redirect carried the wrong state')
+      }
+
+      const tokens = await postForm(metadata.token_endpoint, {
+        grant_type: 'authorization_code',
+        code: params.code,
+        redirect_uri: callback.redirectUri,
+        client_id: client.client_id,
+        code_verifier: pkce.verifier,
+        resource: key,
+      })
+      storeTokens(tokens, metadata.token_endpoint, client.client_id)
+      console.error('Proxy: signed in')
+    } finally {
+      callback.close()
+    }
+  }
+
+  const expiring = () =>
+    Boolean(
+      saved.access_token && saved.expires_at && saved.expires_at - Date.now() < REFRESH_MARGIN_MS
+    )
+
+  // Refresh when there is a refresh token; fall back to the full flow when
+  // there is none or the server no longer honours it.
+  const renew = (challenge, { interactive = true } = {}) => {
+    if (!authorizing) {
+      authorizing = (async () => {
+        if (saved.refresh_token && saved.token_endpoint) {
+          try {
+            await refresh()
+            return
+          } catch (error) {
+            console.error(`Proxy: token refresh failed (${error.message})`)
+            save({ access_token: null, refresh_token: null, expires_at: null })
+          }
+        }
+        if (interactive) await authorize(challenge)
+      })().finally(() => {
+        authorizing = null
+      })
+    }
+    return authorizing
+  }
+
+  return {
+    authorizationHeader() {
+      return saved.access_token ? `Bearer ${saved.access_token}` : null
+    },
+    async refreshIfExpiring() {
+      if (authorizing) await authorizing.catch(() => {})
+      if (expiring()) await renew(null, { interactive: false }).catch(() => {})
+    },
+    handleUnauthorized(challenge) {
+      return renew(challenge)
+    },
+    logout() {
+      saved = {}
+      store.set(key, null)
+    },
+  }
+}
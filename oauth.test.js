@@ -0,0 +1,227 @@
+// @vitest-environment node
+
+/**
+ * Tests for the proxy's OAuth flow. The authorization server is a mocked
+ * fetch; the loopback redirect is a real socket, driven by a stand-in for
+ * the browser.
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { createHash } from 'crypto'
+import { mkdtempSync, rmSync, statSync, readFileSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { createOAuth, createTokenStore, parseResourceMetadataUrl } from './oauth.js'
+
+const RESOURCE = 'https://api.example.com/v1/graphs/kg123/mcp'
+const ISSUER = 'https://auth.example.com'
+const CHALLENGE = 'Bearer resource_metadata="https://api.example.com/.well-known/prm"'
+
+function jsonResponse(body, status = 200) {
+  return {
+    ok: status >= 200 && status < 300,
+    status,
+    json: async () => body,
+  }
+}
+
+const base64url = (buffer) =>
+  buffer.toString('base64').replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '')
+
+/**
+ * Fetch for the resource metadata, authorization server metadata,
+ * registration and token endpoints. The token endpoint checks the PKCE
+ * verifier against the challenge the browser saw.
+ */
+function authServer({ refreshStatus = 200 } = {}) {
+  const seen = { challenge: null, tokenRequests: [], registrations: 0 }
+  const fetchImpl = vi.fn(async (url, options = {}) => {
+    switch (url) {
+      case 'https://api.example.com/.well-known/prm':
+        return jsonResponse({ resource: RESOURCE, authorization_servers: [ISSUER] })
+      case `${ISSUER}/.well-known/oauth-authorization-server`:
+        return jsonResponse({
+          issuer: ISSUER,
+          authorization_endpoint: `${ISSUER}/authorize`,
+          token_endpoint: `${ISSUER}/token`,
+          registration_endpoint: `${ISSUER}/register`,
+        })
+      case `${ISSUER}/register`:
+        seen.registrations++
+        seen.registration = JSON.parse(options.body)
+        return jsonResponse({ client_id: 'client-1' }, 201)
+      case `${ISSUER}/token`: {
+        const params = Object.fromEntries(new URLSearchParams(options.body))
+        seen.tokenRequests.push(params)
+        if (params.grant_type === 'refresh_token') {
+          if (refreshStatus !== 200) return jsonResponse({ error: 'invalid_grant' }, refreshStatus)
+          return jsonResponse({ access_token: 'access-2', expires_in: 3600 })
+        }
+        const expected = base64url(createHash('sha256').update(params.code_verifier).digest())
+        if (params.code !== 'code-1' || expected !== seen.challenge) {
+          return jsonResponse({ error: 'invalid_grant' }, 400)
+        }
+        return jsonResponse({
+          access_token: 'access-1',
+          refresh_token: 'refresh-1',
+          expires_in: 3600,
+        })
+      }
+      default:
+        return jsonResponse({}, 404)
+    }
+  })
+  return { fetchImpl, seen }
+}
+
+// Plays the user's browser: checks the authorization URL, then follows the
+// redirect back to the loopback listener.
+function browser(seen, { state } = {}) {
+  return vi.fn((url) => {
+    const params = new URL(url).searchParams
+    seen.challenge = params.get('code_challenge')
+    seen.authorizationParams = Object.fromEntries(params)
+    const redirect = new URL(params.get('redirect_uri'))
+    redirect.searchParams.set('code', 'code-1')
+    redirect.searchParams.set('state', state ?? params.get('state'))
+    void fetch(redirect).catch(() => {})
+  })
+}
+
+describe('createOAuth', () => {
+  let dir
+  let store
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'robosystems-oauth-'))
+    store = createTokenStore(join(dir, 'config', 'oauth.json'))
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+    rmSync(dir, { recursive: true, force: true })
+  })
+
+  it('discovers the server, registers, runs PKCE through the loopback and stores tokens', async () => {
+    const { fetchImpl, seen } = authServer()
+    const openBrowser = browser(seen)
+    const auth = createOAuth({ resource: RESOURCE, store, fetchImpl, openBrowser })
+
+    expect(auth.authorizationHeader()).toBeNull()
+    await auth.handleUnauthorized(CHALLENGE)
+
+    expect(auth.authorizationHeader()).toBe('Bearer access-1')
+    expect(seen.registration.redirect_uris[0]).toMatch(/^http:\/\/127\.0\.0\.1:\d+\/callback$/)
+    expect(seen.registration.token_endpoint_auth_method).toBe('none')
+    expect(seen.authorizationParams).toMatchObject({
+      response_type: 'code',
+      client_id: 'client-1',
+      code_challenge_method: 'S256',
+      resource: RESOURCE,
+    })
+    expect(seen.tokenRequests[0]).toMatchObject({
+      grant_type: 'authorization_code',
+      redirect_uri: seen.registration.redirect_uris[0],
+    })
+
+    expect(statSync(store.path).mode & 0o777).toBe(0o600)
+    expect(statSync(join(dir, 'config')).mode & 0o777).toBe(0o700)
+    const onDisk = JSON.parse(readFileSync(store.path, 'utf8'))[RESOURCE]
+    expect(onDisk).toMatchObject({ access_token: 'access-1', refresh_token: 'refresh-1' })
+
+    // A later process picks the stored token up without signing in again
+    const again = createOAuth({ resource: RESOURCE, store, fetchImpl, openBrowser })
+    expect(again.authorizationHeader()).toBe('Bearer access-1')
+    expect(openBrowser).toHaveBeenCalledTimes(1)
+  })
+
+  it('shares one sign-in between concurrent 401s', async () => {
+    const { fetchImpl, seen } = authServer()
+    const openBrowser = browser(seen)
+    const auth = createOAuth({ resource: RESOURCE, store, fetchImpl, openBrowser })
+
+    await Promise.all([auth.handleUnauthorized(CHALLENGE), auth.handleUnauthorized(CHALLENGE)])
+
+    expect(openBrowser).toHaveBeenCalledTimes(1)
+    expect(seen.registrations).toBe(1)
+  })
+
+  it('rejects a redirect carrying the wrong state', async () => {
+    const { fetchImpl, seen } = authServer()
+    const auth = createOAuth({
+      resource: RESOURCE,
+      store,
+      fetchImpl,
+      openBrowser: browser(seen, { state: 'forged' }),
+    })
+
+    await expect(auth.handleUnauthorized(CHALLENGE)).rejects.toThrow(/wrong state/)
+    expect(auth.authorizationHeader()).toBeNull()
+  })
+
+  it('refreshes a token that is about to expire, without the browser', async () => {
+    store.set(RESOURCE, {
+      token_endpoint: `${ISSUER}/token`,
+      client_id: 'client-1',
+      access_token: 'access-1',
+      refresh_token: 'refresh-1',
+      expires_at: Date.now() + 1000,
+    })
+    const { fetchImpl, seen } = authServer()
+    const openBrowser = vi.fn()
+    const auth = createOAuth({ resource: RESOURCE, store, fetchImpl, openBrowser })
+
+    await auth.refreshIfExpiring()
+
+    expect(auth.authorizationHeader()).toBe('Bearer access-2')
+    expect(seen.tokenRequests[0]).toMatchObject({
+      grant_type: 'refresh_token',
+      refresh_token: 'refresh-1',
+      client_id: 'client-1',
+    })
+    // The refresh response omitted a new refresh token: the old one is kept
+    expect(store.get(RESOURCE).refresh_token).toBe('refresh-1')
+    expect(openBrowser).not.toHaveBeenCalled()
+  })
+
+  it('falls back to signing in again when the refresh token is rejected', async () => {
+    store.set(RESOURCE, {
+      token_endpoint: `${ISSUER}/token`,
+      client_id: 'client-1',
+      access_token: 'revoked',
+      refresh_token: 'refresh-old',
+    })
+    const { fetchImpl, seen } = authServer({ refreshStatus: 400 })
+    const openBrowser = browser(seen)
+    const auth = createOAuth({ resource: RESOURCE, store, fetchImpl, openBrowser })
+
+    await auth.handleUnauthorized(CHALLENGE)
+
+    expect(openBrowser).toHaveBeenCalledTimes(1)
+    expect(auth.authorizationHeader()).toBe('Bearer access-1')
+  })
+
+  it('fails clearly when the endpoint advertises no authorization server', async () => {
+    const auth = createOAuth({
+      resource: RESOURCE,
+      store,
+      fetchImpl: vi.fn().mockResolvedValue(jsonResponse({}, 404)),
+      openBrowser: vi.fn(),
+    })
+
+    await expect(auth.handleUnauthorized('Bearer')).rejects.toThrow(
+      /does not advertise an OAuth authorization server/
+    )
+  })
+})
+
+describe('parseResourceMetadataUrl', () => {
+  it('reads the resource_metadata parameter of a Bearer challenge', () => {
+    expect(parseResourceMetadataUrl(`${CHALLENGE}, error="invalid_token"`)).toBe(
+      'https://api.example.com/.well-known/prm'
+    )
+    expect(parseResourceMetadataUrl('Bearer realm="mcp"')).toBeNull()
+    expect(parseResourceMetadataUrl(null)).toBeNull()
+  })
+})
@@ -13,28 +13,195 @@
  */
 
 import { createInterface } from 'readline'
+import { closeSync, mkdirSync, openSync, readFileSync, writeSync } from 'fs'
+import { join } from 'path'
+import { readOnlyRefusal } from './read-only.js'
+import {
+  CONFIRMED_TOOLS,
+  CONFIRM_TIMEOUT_MS,
+  confirmationRequest,
+  describeDeletion,
+  hostCanConfirm,
+  isConfirmed,
+  notConfirmed,
+} from './confirmation.js'
 
 const JSONRPC_PARSE_ERROR = -32700
+const JSONRPC_INVALID_REQUEST = -32600
+const JSONRPC_METHOD_NOT_FOUND = -32601
+const JSONRPC_INVALID_PARAMS = -32602
 const JSONRPC_PROXY_ERROR = -32000
+// Distinct from JSONRPC_PROXY_ERROR so hosts can tell "gave up waiting" from
+// "upstream failed"; matches the MCP SDK's RequestTimeout code.
+const JSONRPC_TIMEOUT_ERROR = -32001
 const ERROR_BODY_PREVIEW_CHARS = 300
+// Backoff bounds for re-opening the standalone GET stream after it drops.
+const STREAM_RECONNECT_BASE_MS = 1000
+const STREAM_RECONNECT_MAX_MS = 30000
+// Resuming an interrupted SSE response: attempts before giving up, and the
+// wait between them when the server sent no `retry:` hint.
+const SSE_RESUME_MAX_ATTEMPTS = 5
+const SSE_RESUME_DEFAULT_MS = 1000
+// Event ids remembered per stream to skip redelivered events; a resumed
+// stream only replays what followed its last id, so recent ones suffice.
+const SSE_SEEN_EVENT_IDS = 1000
+// Upper bound on the session DELETE sent at shutdown — never hold up exit.
+const SESSION_DELETE_TIMEOUT_MS = 2000
+const SHUTDOWN_SIGNALS = ['SIGINT', 'SIGTERM']
+// Default limits for a proxied request: overall time to a complete answer, and
+// silence tolerated on an SSE response between server bytes (keepalives count).
+const DEFAULT_REQUEST_TIMEOUT_MS = 300000
+const DEFAULT_IDLE_TIMEOUT_MS = 120000
+// Retrying transient upstream failures: statuses that mean the request never
+// reached a handler (or was turned away to try later), how many retries, and
+// the jittered exponential backoff between them. A server's Retry-After wins
+// over the backoff, within a cap.
+const RETRYABLE_STATUSES = [429, 502, 503]
+const DEFAULT_MAX_RETRIES = 3
+// Proxied lines allowed in flight at once when fed through submit()
+const DEFAULT_MAX_CONCURRENCY = 8
+// Request headers that carry credentials; never written to a transcript.
+const SECRET_HEADERS = ['x-api-key', 'authorization', 'cookie', 'proxy-authorization']
+// Response headers worth keeping in a transcript
+const RECORDED_RESPONSE_HEADERS = ['content-type', 'mcp-session-id', 'retry-after']
+const RETRY_BASE_DELAY_MS = 500
+const RETRY_MAX_DELAY_MS = 10000
+const RETRY_AFTER_MAX_MS = 60000
+// Ids of the confirmation requests the proxy sends the host itself
+const CONFIRM_ID_PREFIX = 'robosystems-confirm-'
+
+/**
+ * Raised when a proxied request outlives its overall or idle timeout.
+ */
+class ProxyTimeoutError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ProxyTimeoutError'
+  }
+}
+
+/**
+ * Raised when OAuth authorization fails. Not a transient failure: retrying
+ * would only send the user through the sign-in again.
+ */
+class ProxyAuthError extends Error {
+  constructor(message) {
+    super(message)
+    this.name = 'ProxyAuthError'
+  }
+}
+
+/**
+ * A JSON-RPC request: a method plus an id, so the sender awaits a reply.
+ */
+function isRequest(message) {
+  return (
+    message !== null &&
+    typeof message === 'object' &&
+    message.method !== undefined &&
+    message.id !== undefined
+  )
+}
+
+/**
+ * A JSON-RPC response (result or error for an id), as opposed to a request or
+ * notification.
+ */
+function isResponse(message) {
+  return (
+    message !== null &&
+    typeof message === 'object' &&
+    message.method === undefined &&
+    message.id !== undefined &&
+    (message.result !== undefined || message.error !== undefined)
+  )
+}
+
+/**
+ * "Full jitter" exponential backoff: a random delay up to base * 2^attempt,
+ * capped, so clients that failed together don't retry together.
+ */
+function backoffDelay(attempt) {
+  return Math.round(
+    Math.random() * Math.min(RETRY_MAX_DELAY_MS, RETRY_BASE_DELAY_MS * 2 ** attempt)
+  )
+}
+
+/**
+ * Parse a Retry-After header (delta-seconds or an HTTP date) into a delay in
+ * milliseconds, capped. Returns null when absent or unparseable.
+ */
+function retryAfterMs(value) {
+  if (!value) return null
+  const seconds = Number(value)
+  const ms = Number.isFinite(seconds) ? seconds * 1000 : Date.parse(value) - Date.now()
+  if (!Number.isFinite(ms)) return null
+  return Math.min(Math.max(ms, 0), RETRY_AFTER_MAX_MS)
+}
+
+/**
+ * Resolve after `ms`, or immediately once `signal` aborts.
+ */
+function sleep(ms, signal) {
+  return new Promise((resolve) => {
+    if (signal?.aborted) return resolve()
+    const timer = setTimeout(done, ms)
+    function done() {
+      clearTimeout(timer)
+      signal?.removeEventListener('abort', done)
+      resolve()
+    }
+    signal?.addEventListener('abort', done, { once: true })
+  })
+}
 
 /**
  * Parse a Server-Sent Events stream and deliver each event's JSON payload.
  * Handles multi-line `data:` fields per the SSE spec and ignores comment
- * (keepalive) lines. `event:`/`id:`/`retry:` fields carry no JSON-RPC content
- * on this endpoint and are skipped.
+ * (keepalive) lines; `event:` carries no JSON-RPC content on this endpoint.
+ * `id:` and `retry:` are recorded on `state` (`lastEventId`, `retryMs`) so a
+ * dropped stream can be resumed, and an event whose id was recently delivered
+ * on this stream is skipped rather than relayed twice. Aborting `signal`
+ * cancels the read. With `idleTimeoutMs`, a stream that goes that long without
+ * sending anything — keepalive comments count — fails with ProxyTimeoutError.
  */
-async function relaySSE(body, deliver) {
+async function relaySSE(body, deliver, { signal, state = {}, idleTimeoutMs = 0 } = {}) {
   const reader = body.getReader()
   const decoder = new TextDecoder()
   let buffer = ''
   let dataLines = []
+  let eventId = null
+  const seen = (state.seenEventIds ??= new Set())
+  const onAbort = () => reader.cancel().catch(() => {})
+  signal?.addEventListener('abort', onAbort, { once: true })
+
+  let idleTimer = null
+  let idleError = null
+  const armIdleTimer = () => {
+    if (!idleTimeoutMs) return
+    clearTimeout(idleTimer)
+    idleTimer = setTimeout(() => {
+      idleError = new ProxyTimeoutError(
+        `No data from the server for ${Math.round(idleTimeoutMs / 1000)}s`
+      )
+      reader.cancel().catch(() => {})
+    }, idleTimeoutMs)
+  }
 
   const dispatch = () => {
+    const id = eventId
+    eventId = null
+    if (id !== null) state.lastEventId = id
     if (dataLines.length === 0) return
     const dataStr = dataLines.join('\n')
     dataLines = []
     if (!dataStr || dataStr === '[DONE]') return
+    if (id !== null) {
+      if (seen.has(id)) return
+      seen.add(id)
+      // Sets keep insertion order: the first id is the oldest
+      if (seen.size > SSE_SEEN_EVENT_IDS) seen.delete(seen.values().next().value)
+    }
     try {
       deliver(JSON.parse(dataStr))
     } catch {
@@ -42,10 +209,15 @@ async function relaySSE(body, deliver) {
     }
   }
 
+  const field = (line, name) => line.slice(name.length + 1).replace(/^ /, '')
+
   try {
+    armIdleTimer()
     while (true) {
       const { done, value } = await reader.read()
+      if (idleError) throw idleError
       if (done) break
+      armIdleTimer()
 
       buffer += decoder.decode(value, { stream: true })
       const lines = buffer.split(/\r?\n/)
@@ -57,16 +229,23 @@ async function relaySSE(body, deliver) {
         } else if (line.startsWith(':')) {
           // Comment / keepalive — ignore
         } else if (line.startsWith('data:')) {
-          dataLines.push(line.slice(5).replace(/^ /, ''))
+          dataLines.push(field(line, 'data'))
+        } else if (line.startsWith('id:')) {
+          eventId = field(line, 'id')
+        } else if (line.startsWith('retry:')) {
+          const retry = parseInt(field(line, 'retry'), 10)
+          if (Number.isFinite(retry) && retry >= 0) state.retryMs = retry
         }
       }
     }
     // Flush a trailing event if the stream ended without a final blank line
     if (buffer.startsWith('data:')) {
-      dataLines.push(buffer.slice(5).replace(/^ /, ''))
+      dataLines.push(field(buffer, 'data'))
     }
     dispatch()
   } finally {
+    clearTimeout(idleTimer)
+    signal?.removeEventListener('abort', onAbort)
     reader.cancel().catch(() => {})
   }
 }
@@ -74,111 +253,1053 @@ async function relaySSE(body, deliver) {
 /**
  * Create a proxy instance bound to one MCP endpoint. Exposed separately from
  * runProxy so tests can drive individual messages without real stdio.
+ *
+ * Once the host's `notifications/initialized` is accepted, the proxy also
+ * opens the standalone GET stream on which the server pushes its own
+ * notifications and requests; `listen: false` disables that. Call `close()`
+ * to tear the stream down and end the server-side session.
+ *
+ * `requestTimeoutMs` bounds how long a request may take in total and
+ * `idleTimeoutMs` how long its SSE response may stay silent; when either
+ * fires the host gets a JSON-RPC timeout error and the server a cancellation.
+ * 0 disables a limit.
+ *
+ * Transient failures — the connection failing before any response arrived,
+ * or a 429/502/503 — are retried up to `maxRetries` times with backoff. Once
+ * a response has been accepted for relay it is never replayed.
+ *
+ * `handleLine` forwards a line immediately; `submit` queues it behind
+ * `maxConcurrency` and the ordering rules runProxy relies on.
+ *
+ * Pass `auth` (see oauth.js) to authorize with OAuth instead of, or as well
+ * as, the API key: its bearer token is attached to every request and a 401
+ * triggers authorization and one retry.
+ *
+ * Pass a `recorder` (see createRecorder) to keep a transcript of the traffic,
+ * or a `replay` transcript (see loadTranscript) to answer from a recorded
+ * session instead of the network — `fetchImpl` is never called then.
+ *
+ * A `toolFilter` (see tool-filter.js) removes hidden tools from every
+ * tools/list result and answers calls to them with a JSON-RPC error, without
+ * forwarding them. With `readOnly` (see read-only.js), calls that would
+ * write are answered with a tool error explaining the refusal instead.
+ *
+ * When the host can show forms (the elicitation capability), a call that
+ * deletes a subgraph waits for the user to confirm it (see confirmation.js);
+ * one they do not confirm is answered with a tool error and never sent.
  */
-export function createProxy({ url, apiKey, version, output = process.stdout, fetchImpl = fetch }) {
+export function createProxy({
+  url,
+  apiKey,
+  version,
+  output = process.stdout,
+  fetchImpl = fetch,
+  listen = true,
+  requestTimeoutMs = DEFAULT_REQUEST_TIMEOUT_MS,
+  idleTimeoutMs = DEFAULT_IDLE_TIMEOUT_MS,
+  maxRetries = DEFAULT_MAX_RETRIES,
+  maxConcurrency = DEFAULT_MAX_CONCURRENCY,
+  recorder = null,
+  replay = null,
+  auth = null,
+  toolFilter = null,
+  readOnly = false,
+}) {
+  const upstreamFetch = replay ? createReplayFetch(replay) : fetchImpl
+  const httpFetch = recorder ? recordingFetch(upstreamFetch, recorder) : upstreamFetch
   // Captured from the initialize response and echoed back on subsequent
   // requests via the MCP-Protocol-Version header, per Streamable HTTP.
   let protocolVersion = null
+  // Session id assigned by the server on the initialize response
+  // (Mcp-Session-Id header) and echoed on every later request.
+  let sessionId = null
+  // The host's initialize request and initialized notification, kept verbatim
+  // so a session the server has forgotten (404) can be re-established without
+  // the host noticing.
+  let initializeRaw = null
+  let initializedRaw = null
+  let reinitializing = null
+  // The session id each response's request carried, so that a late 404 for
+  // a session another request has already replaced starts no new handshake
+  const sentSessions = new WeakMap()
+  // Standalone GET stream for server-initiated messages
+  let listenController = null
+  let listening = null
+  let closing = null
+  // In-flight host requests by JSON-RPC id, so notifications/cancelled can
+  // abort the matching fetch, and the ids the host has cancelled (or that
+  // timed out), whose late responses must never reach stdout.
+  const inFlight = new Map()
+  const cancelledIds = new Set()
+  // Host requests between arriving and settling; only their cancellations
+  // are remembered, and only until they settle
+  const pendingIds = new Set()
+  // Ids of host tools/list requests, whose results the tool filter rewrites
+  const toolListIds = new Set()
+  // Whether the host declared it can ask the user (elicitation), and our
+  // confirmation requests to it still awaiting an answer, by id
+  let hostElicits = false
+  const confirmations = new Map()
+  let confirmSeq = 0
+
+  const write = (message) => {
+    recorder?.record({ type: 'stdout', message })
+    output.write(JSON.stringify(message) + '\n')
+  }
+
+  /**
+   * The local answer to a tools/call that must not be forwarded, or null: a
+   * JSON-RPC error for a tool the filter hides (as for an unknown tool), a
+   * tool error result explaining a read-only refusal (so the assistant can
+   * adjust its query).
+   */
+  const localRefusal = (message) => {
+    if (!isRequest(message) || message.method !== 'tools/call') return null
+    const { name, arguments: args } = message.params ?? {}
+    if (toolFilter && !toolFilter.allows(name)) {
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        error: { code: JSONRPC_INVALID_PARAMS, message: toolFilter.refusal(name) },
+      }
+    }
+    const refusal = readOnly ? readOnlyRefusal(name, args) : null
+    if (!refusal) return null
+    return {
+      jsonrpc: '2.0',
+      id: message.id,
+      result: { content: [{ type: 'text', text: refusal }], isError: true },
+    }
+  }
+
+  // Whether a host message is a call that must be confirmed before it is sent
+  const needsConfirmation = (message) =>
+    hostElicits &&
+    isRequest(message) &&
+    message.method === 'tools/call' &&
+    CONFIRMED_TOOLS.includes(message.params?.name)
+
+  // Ask the user about one deletion; resolves to whether they confirmed it
+  const askUser = (message) => {
+    const id = `${CONFIRM_ID_PREFIX}${++confirmSeq}`
+    const args = message.params?.arguments ?? {}
+    const question = describeDeletion({
+      kind: 'subgraph',
+      id: args.subgraph_id ?? args.workspace_id,
+      parent: /\/graphs\/([^/?#]+)/.exec(url)?.[1],
+      force: args.force,
+    })
+    return new Promise((resolve) => {
+      const timer = setTimeout(() => {
+        confirmations.delete(id)
+        resolve(false)
+      }, CONFIRM_TIMEOUT_MS)
+      timer.unref?.()
+      confirmations.set(id, (reply) => {
+        clearTimeout(timer)
+        resolve(isConfirmed(reply.result))
+      })
+      deliver({
+        jsonrpc: '2.0',
+        id,
+        method: 'elicitation/create',
+        params: confirmationRequest(question),
+      })
+    })
+  }
+
+  /**
+   * Put each deletion on a prepared line to the user and answer those they
+   * do not confirm here. Resolves to what is left to forward, or null.
+   */
+  const confirmDeletions = async (prepared) => {
+    const pending = prepared.messages.filter(needsConfirmation)
+    if (pending.length === 0) return prepared
+    const answers = await Promise.all(pending.map(askUser))
+    const declined = pending.filter((_, index) => !answers[index])
+    if (declined.length === 0) return prepared
+
+    const replies = declined.map((message) => {
+      const args = message.params?.arguments ?? {}
+      const text = notConfirmed('subgraph', args.subgraph_id ?? args.workspace_id)
+      return {
+        jsonrpc: '2.0',
+        id: message.id,
+        result: { content: [{ type: 'text', text }], isError: true },
+      }
+    })
+    deliver(prepared.batch ? replies : replies[0])
+    const declinedIds = new Set(declined.map((message) => message.id))
+    settle(declinedIds)
+    const messages = prepared.messages.filter((message) => !declined.includes(message))
+    if (messages.length === 0) return null
+    return {
+      ...prepared,
+      raw: JSON.stringify(messages),
+      messages,
+      requestIds: prepared.requestIds.filter((id) => !declinedIds.has(id)),
+    }
+  }
+
+  // Drop the tools the filter hides from a tools/list result
+  const filterToolList = (message) => {
+    if (!toolFilter || !isResponse(message) || !toolListIds.delete(message.id)) return message
+    if (!Array.isArray(message.result?.tools)) return message
+    return {
+      ...message,
+      result: { ...message.result, tools: toolFilter.filterTools(message.result.tools) },
+    }
+  }
 
   const deliver = (message) => {
+    message = Array.isArray(message) ? message.map(filterToolList) : filterToolList(message)
+    if (Array.isArray(message)) {
+      const replies = message.filter((reply) => !(isResponse(reply) && cancelledIds.has(reply.id)))
+      if (replies.length > 0) write(replies)
+      return
+    }
     if (message && typeof message === 'object' && message.result?.protocolVersion) {
       protocolVersion = message.result.protocolVersion
     }
-    output.write(JSON.stringify(message) + '\n')
+    if (isResponse(message) && cancelledIds.has(message.id)) return
+    write(message)
   }
 
-  const buildHeaders = () => {
+  const buildHeaders = ({ stream = false, lastEventId = null } = {}) => {
     const headers = {
-      'Content-Type': 'application/json',
-      Accept: 'application/json, text/event-stream',
+      ...(stream ? {} : { 'Content-Type': 'application/json' }),
+      Accept: stream ? 'text/event-stream' : 'application/json, text/event-stream',
       'User-Agent': `robosystems-mcp/${version}`,
       'X-MCP-Client': version,
     }
     if (apiKey) {
       headers['X-API-Key'] = apiKey
     }
+    const authorization = auth?.authorizationHeader()
+    if (authorization) {
+      headers.Authorization = authorization
+    }
     if (protocolVersion) {
       headers['MCP-Protocol-Version'] = protocolVersion
     }
+    if (sessionId) {
+      headers['Mcp-Session-Id'] = sessionId
+    }
+    if (lastEventId !== null && lastEventId !== undefined) {
+      headers['Last-Event-ID'] = lastEventId
+    }
     return headers
   }
 
-  const handleLine = async (line) => {
+  /**
+   * Issue the request `request()` builds. With OAuth configured, a token
+   * about to expire is refreshed first, and a 401 triggers authorization (a
+   * refresh, or the browser flow) and one retry with the new token — which
+   * is why `request` rebuilds its headers on every call.
+   */
+  const authorized = async (request) => {
+    if (!auth) return request()
+    await auth.refreshIfExpiring()
+    const response = await request()
+    if (response.status !== 401) return response
+    await response.text?.().catch(() => '')
+    try {
+      await auth.handleUnauthorized(response.headers.get('www-authenticate'))
+    } catch (error) {
+      throw new ProxyAuthError(`sign-in failed: ${error.message}`)
+    }
+    return request()
+  }
+
+  // Fetch with `headers`, noting the session they carry on the response
+  const fetchInSession = async (headers, options) => {
+    const response = await httpFetch(url, { ...options, headers })
+    sentSessions.set(response, headers['Mcp-Session-Id'] ?? null)
+    return response
+  }
+
+  const post = async (raw, { isInitialize = false, signal } = {}) => {
+    const response = await authorized(() =>
+      fetchInSession(buildHeaders(), { method: 'POST', body: raw, signal })
+    )
+    if (isInitialize && response.ok) {
+      sessionId = response.headers.get('mcp-session-id') || null
+    }
+    return response
+  }
+
+  /**
+   * POST with retries for failures that happen before the server produced a
+   * response to relay: a rejected fetch (connection refused or reset) or a
+   * retryable status. Whatever comes back after the last attempt is returned
+   * (or thrown) as-is for handleLine to report.
+   */
+  const send = async (raw, { isInitialize = false, signal } = {}) => {
+    for (let attempt = 0; ; attempt++) {
+      let response
+      try {
+        response = await post(raw, { isInitialize, signal })
+      } catch (error) {
+        if (signal?.aborted || attempt >= maxRetries || error instanceof ProxyAuthError) {
+          throw error
+        }
+        const delay = backoffDelay(attempt)
+        console.error(`Proxy: ${error.message}; retrying in ${delay}ms`)
+        await sleep(delay, signal)
+        if (signal?.aborted) throw error
+        continue
+      }
+
+      if (!RETRYABLE_STATUSES.includes(response.status) || attempt >= maxRetries) {
+        return response
+      }
+      await response.text?.().catch(() => '')
+      const delay = retryAfterMs(response.headers.get('retry-after')) ?? backoffDelay(attempt)
+      console.error(`Proxy: HTTP ${response.status}; retrying in ${delay}ms`)
+      await sleep(delay, signal)
+      if (signal?.aborted) throw new Error(`HTTP ${response.status}`)
+    }
+  }
+
+  /**
+   * Replay the cached initialize/initialized pair to obtain a fresh session.
+   * The replayed initialize response is consumed here, never relayed — the
+   * host already holds one. Concurrent 404s share a single re-initialization.
+   */
+  const reinitialize = () => {
+    if (!reinitializing) {
+      reinitializing = (async () => {
+        console.error('Proxy: session expired on the server, re-initializing')
+        sessionId = null
+        const response = await post(initializeRaw, { isInitialize: true })
+        if (!response.ok) {
+          throw new Error(`re-initialize failed with HTTP ${response.status}`)
+        }
+        const contentType = response.headers.get('content-type') || ''
+        if (contentType.includes('text/event-stream')) {
+          await relaySSE(response.body, () => {})
+        } else {
+          await response.text().catch(() => '')
+        }
+        if (initializedRaw) {
+          await post(initializedRaw)
+        }
+      })().finally(() => {
+        reinitializing = null
+      })
+    }
+    return reinitializing
+  }
+
+  /**
+   * Recover from a 404 to a request sent in a session: re-initialize, unless
+   * another request has already replaced that session (or is replacing it),
+   * in which case retrying in the current one is enough.
+   */
+  const renewSession = (response) => {
+    if (sessionId && sessionId !== sentSessions.get(response) && !reinitializing) return
+    return reinitialize()
+  }
+
+  /**
+   * Hold the standalone GET stream open, relaying whatever the server pushes
+   * on it (list_changed notifications, log messages, sampling requests). The
+   * stream is re-opened with exponential backoff whenever it ends or fails;
+   * a 405 means the server offers no such stream, which ends the loop.
+   * Reconnects carry `Last-Event-ID` so the server can replay what was missed.
+   */
+  const runListener = async (signal) => {
+    let delay = STREAM_RECONNECT_BASE_MS
+    const state = {}
+    while (!signal.aborted) {
+      try {
+        const response = await authorized(() =>
+          fetchInSession(buildHeaders({ stream: true, lastEventId: state.lastEventId }), {
+            method: 'GET',
+            signal,
+          })
+        )
+        const contentType = response.headers.get('content-type') || ''
+        if (response.status === 405) {
+          console.error('Proxy: server offers no standalone SSE stream; not listening')
+          return
+        } else if (response.status === 404 && sentSessions.get(response) && initializeRaw) {
+          await renewSession(response)
+        } else if (response.ok && contentType.includes('text/event-stream')) {
+          delay = STREAM_RECONNECT_BASE_MS
+          await relaySSE(response.body, deliver, { signal, state })
+        } else {
+          console.error(`Proxy: HTTP ${response.status} opening the server SSE stream`)
+        }
+      } catch (error) {
+        if (signal.aborted) return
+        console.error(`Proxy: server SSE stream failed: ${error.message}`)
+      }
+      await sleep(state.retryMs ?? delay, signal)
+      delay = Math.min(delay * 2, STREAM_RECONNECT_MAX_MS)
+    }
+  }
+
+  /**
+   * Relay the SSE body of a POST response. If the stream breaks — or ends
+   * before the answer to `requestId` arrives — after the server has tagged
+   * events with ids, resume it per Streamable HTTP: GET the endpoint with
+   * `Last-Event-ID`, waiting the server's `retry:` hint first, and continue
+   * relaying from the replayed events. Without an event id there is nothing
+   * to resume from and the failure propagates, as does an idle timeout.
+   * Aborting `signal` (the request was cancelled) stops the relay where it is.
+   */
+  const relayResumable = async (body, { relay, isAnswered, signal }) => {
+    const state = {}
+
+    for (let attempt = 0; ; attempt++) {
+      let failure = null
+      try {
+        await relaySSE(body, relay, { signal, state, idleTimeoutMs })
+        if (isAnswered()) return
+      } catch (error) {
+        if (error instanceof ProxyTimeoutError) throw error
+        failure = error
+      }
+      if (signal?.aborted) return
+      if (state.lastEventId === undefined) {
+        if (failure) throw failure
+        return
+      }
+      if (attempt >= SSE_RESUME_MAX_ATTEMPTS) {
+        throw failure || new Error('SSE stream ended before the response arrived')
+      }
+
+      console.error(`Proxy: SSE stream interrupted, resuming after event ${state.lastEventId}`)
+      await sleep(state.retryMs ?? SSE_RESUME_DEFAULT_MS, signal)
+      if (signal?.aborted) return
+      const response = await authorized(() =>
+        httpFetch(url, {
+          method: 'GET',
+          headers: buildHeaders({ stream: true, lastEventId: state.lastEventId }),
+          signal,
+        })
+      )
+      const contentType = response.headers.get('content-type') || ''
+      if (!response.ok || !contentType.includes('text/event-stream')) {
+        throw new Error(`HTTP ${response.status} resuming the SSE stream`)
+      }
+      body = response.body
+    }
+  }
+
+  // Requests that are done with: forget them, and any cancellation of them
+  const settle = (ids) => {
+    for (const id of ids) {
+      pendingIds.delete(id)
+      cancelledIds.delete(id)
+    }
+  }
+
+  /**
+   * Abort the in-flight request the host just cancelled (for a batch, the
+   * shared fetch is aborted once all of its requests are). The id is remembered
+   * until the request settles, so a response already on its way is dropped
+   * instead of relayed — the host has stopped waiting for it. Cancelling a
+   * request that has already settled changes nothing here. The cancellation
+   * itself is still forwarded upstream so the server can stop working on it.
+   */
+  const cancelInFlight = (requestId) => {
+    if (!pendingIds.has(requestId)) return
+    cancelledIds.add(requestId)
+    inFlight.get(requestId)?.abort()
+  }
+
+  /**
+   * Give up on a request the proxy timed out: abort it locally and tell the
+   * server, on the host's behalf, to stop working on it.
+   */
+  const abandonRequest = (requestId, reason) => {
+    cancelInFlight(requestId)
+    const notification = JSON.stringify({
+      jsonrpc: '2.0',
+      method: 'notifications/cancelled',
+      params: { requestId, reason },
+    })
+    post(notification)
+      .then((response) => response.text?.())
+      .catch(() => {})
+  }
+
+  const startListening = () => {
+    if (!listen || listening) return
+    listenController = new AbortController()
+    listening = runListener(listenController.signal)
+  }
+
+  /**
+   * Parse one stdin line and apply what must happen the moment it arrives:
+   * cancellations abort their target immediately, the handshake is cached,
+   * and a request id reused after an earlier cancellation is cleared. Parse
+   * errors are answered here. Returns what `forward` needs, or null when the
+   * line is finished with.
+   */
+  const prepare = (line) => {
     const raw = line.trim()
-    if (!raw) return
+    if (!raw) return null
 
-    let message
+    let parsed
     try {
-      message = JSON.parse(raw)
+      parsed = JSON.parse(raw)
     } catch {
+      recorder?.record({ type: 'stdin', raw })
       deliver({
         jsonrpc: '2.0',
         id: null,
         error: { code: JSONRPC_PARSE_ERROR, message: 'Parse error' },
       })
-      return
+      return null
+    }
+
+    recorder?.record({ type: 'stdin', message: parsed })
+
+    // A JSON array is a batch: forwarded verbatim like any other message, with
+    // the replies to its requests gathered back into one array for the host.
+    const batch = Array.isArray(parsed)
+    let messages = batch ? parsed : [parsed]
+    let forwardRaw = raw
+    // The host's answer to one of our confirmation requests ends here
+    if (!batch && isResponse(parsed) && confirmations.has(parsed.id)) {
+      confirmations.get(parsed.id)(parsed)
+      confirmations.delete(parsed.id)
+      return null
+    }
+    if (batch && messages.length === 0) {
+      deliver({
+        jsonrpc: '2.0',
+        id: null,
+        error: { code: JSONRPC_INVALID_REQUEST, message: 'Invalid Request: empty batch' },
+      })
+      return null
+    }
+
+    // Calls the tool filter or read-only mode rule out are answered here and
+    // never reach the server
+    const refusals = messages.map(localRefusal).filter(Boolean)
+    if (refusals.length > 0) {
+      deliver(batch ? refusals : refusals[0])
+      const refused = new Set(refusals.map((reply) => reply.id))
+      messages = messages.filter((message) => !(isRequest(message) && refused.has(message.id)))
+      if (messages.length === 0) return null
+      forwardRaw = JSON.stringify(messages)
+    }
+    if (toolFilter) {
+      for (const message of messages) {
+        if (isRequest(message) && message.method === 'tools/list') toolListIds.add(message.id)
+      }
     }
 
     // Requests carry both a method and an id and expect a reply; notifications
     // and client→server responses get forwarded but never answered locally.
-    const expectsResponse = message.method !== undefined && message.id !== undefined
+    const requestIds = messages.filter(isRequest).map((message) => message.id)
+    const isInitialize = !batch && parsed?.method === 'initialize'
+    if (isInitialize) {
+      initializeRaw = raw
+      hostElicits = hostCanConfirm(parsed.params?.capabilities)
+    } else if (!batch && parsed?.method === 'notifications/initialized') {
+      initializedRaw = raw
+    }
+    for (const message of messages) {
+      if (message?.method === 'notifications/cancelled') {
+        cancelInFlight(message.params?.requestId)
+      }
+    }
+    for (const id of requestIds) {
+      cancelledIds.delete(id)
+      pendingIds.add(id)
+    }
+
+    return { raw: forwardRaw, parsed, batch, messages, requestIds, isInitialize }
+  }
+
+  /**
+   * Send a prepared line upstream and relay what comes back. `onSent` fires
+   * once the server has answered the POST itself (headers in, or the attempt
+   * failed), which is what ordering in `submit` waits on.
+   */
+  const forward = async (
+    { raw, parsed, batch, messages, requestIds, isInitialize },
+    { onSent = () => {} } = {}
+  ) => {
+    // Cancelled while still queued: the server never needs to see it
+    if (!batch && requestIds.length > 0 && cancelledIds.has(requestIds[0])) {
+      return settle(requestIds)
+    }
+
+    const unanswered = new Set(requestIds)
+    const batchReplies = []
+    const outstanding = () => [...unanswered].filter((id) => !cancelledIds.has(id))
+    const flush = () => {
+      if (batchReplies.length > 0) deliver(batchReplies.splice(0))
+    }
+    // Replies to this line's requests are held back for a batch and written
+    // together; everything else (progress, server requests) goes straight out.
+    // An array answering a single message is split into one line per reply.
+    const relay = (incoming) => {
+      for (const reply of Array.isArray(incoming) ? incoming : [incoming]) {
+        const ours = isResponse(reply) && unanswered.delete(reply.id)
+        if (ours && batch) {
+          if (!cancelledIds.has(reply.id)) batchReplies.push(reply)
+        } else {
+          deliver(reply)
+        }
+      }
+      if (outstanding().length === 0) flush()
+    }
+    const reject = (code, reason) => {
+      relay(outstanding().map((id) => ({ jsonrpc: '2.0', id, error: { code, message: reason } })))
+    }
+    const expire = (reason) => {
+      const ids = outstanding()
+      if (ids.length === 0) return
+      reject(JSONRPC_TIMEOUT_ERROR, reason)
+      for (const id of ids) abandonRequest(id, reason)
+    }
+
+    // One fetch serves every request on the line, so it is only aborted once
+    // the host has cancelled all of them.
+    let controller = null
+    let handle = null
+    let requestTimer = null
+    if (requestIds.length > 0) {
+      controller = new AbortController()
+      handle = {
+        abort: () => {
+          if (requestIds.every((id) => cancelledIds.has(id))) controller.abort()
+        },
+      }
+      for (const id of requestIds) inFlight.set(id, handle)
+      if (requestTimeoutMs > 0) {
+        requestTimer = setTimeout(
+          () => expire(`Request timed out after ${Math.round(requestTimeoutMs / 1000)}s`),
+          requestTimeoutMs
+        )
+      }
+    }
+    const signal = controller?.signal
+    const label = batch ? 'batch' : parsed?.method || 'response'
 
     try {
-      const response = await fetchImpl(url, {
-        method: 'POST',
-        headers: buildHeaders(),
-        body: raw,
-      })
+      let response = await send(raw, { isInitialize, signal })
+
+      // 404 on a request carrying a session id means the server no longer
+      // knows the session (restart, expiry): re-initialize and retry once.
+      if (response.status === 404 && sentSessions.get(response) && !isInitialize && initializeRaw) {
+        await response.text().catch(() => '')
+        await renewSession(response)
+        response = await send(raw, { signal })
+      }
+      onSent()
+
+      if (
+        response.ok &&
+        messages.some((message) => message?.method === 'notifications/initialized')
+      ) {
+        startListening()
+      }
 
       // 202 Accepted — notification or response delivered, nothing to relay
       if (response.status === 202) return
 
       if (!response.ok) {
         const text = await response.text().catch(() => '')
-        if (expectsResponse) {
+        if (requestIds.length > 0) {
           const detail = text ? `: ${text.slice(0, ERROR_BODY_PREVIEW_CHARS)}` : ''
-          deliver({
-            jsonrpc: '2.0',
-            id: message.id,
-            error: {
-              code: JSONRPC_PROXY_ERROR,
-              message: `HTTP ${response.status}${detail}`,
-            },
-          })
+          reject(JSONRPC_PROXY_ERROR, `HTTP ${response.status}${detail}`)
         } else {
-          console.error(`Proxy: HTTP ${response.status} forwarding ${message.method || 'response'}`)
+          console.error(`Proxy: HTTP ${response.status} forwarding ${label}`)
         }
         return
       }
 
       const contentType = response.headers.get('content-type') || ''
       if (contentType.includes('text/event-stream')) {
-        await relaySSE(response.body, deliver)
+        await relayResumable(response.body, {
+          relay,
+          isAnswered: () => outstanding().length === 0,
+          signal,
+        })
       } else {
         const text = await response.text()
-        if (!text.trim()) return
         // Re-serialize to guarantee one message per stdout line
-        deliver(JSON.parse(text))
+        if (text.trim()) relay(JSON.parse(text))
       }
+      // The server is done with the line; a request it left unanswered would
+      // otherwise keep the host waiting with no timeout left to end it
+      if (outstanding().length > 0) reject(JSONRPC_PROXY_ERROR, 'Response ended without a reply')
     } catch (error) {
-      if (expectsResponse) {
-        deliver({
-          jsonrpc: '2.0',
-          id: message.id,
-          error: {
-            code: JSONRPC_PROXY_ERROR,
-            message: `Proxy request failed: ${error.message}`,
-          },
-        })
+      if (signal?.aborted) return
+      if (error instanceof ProxyTimeoutError && requestIds.length > 0) {
+        expire(error.message)
+      } else if (requestIds.length > 0) {
+        reject(JSONRPC_PROXY_ERROR, `Proxy request failed: ${error.message}`)
       } else {
         console.error(`Proxy request failed: ${error.message}`)
       }
+    } finally {
+      onSent()
+      clearTimeout(requestTimer)
+      // Whatever a batch collected goes out even if some replies never came
+      flush()
+      for (const id of requestIds) {
+        if (inFlight.get(id) === handle) inFlight.delete(id)
+      }
+      settle(requestIds)
+    }
+  }
+
+  /**
+   * Forward one stdin line right away, with no queueing or ordering.
+   */
+  const handleLine = async (line) => {
+    let prepared = prepare(line)
+    // Only a deletion to confirm delays the send
+    if (prepared?.messages.some(needsConfirmation)) prepared = await confirmDeletions(prepared)
+    if (prepared) await forward(prepared)
+  }
+
+  // Dispatch queue for submit(): at most `maxConcurrency` lines in flight,
+  // the rest wait for a slot in arrival order.
+  let slotsInUse = 0
+  const slotWaiters = []
+  const acquireSlot = () => {
+    if (slotsInUse < maxConcurrency) {
+      slotsInUse++
+      return Promise.resolve()
+    }
+    return new Promise((resolve) => slotWaiters.push(resolve))
+  }
+  const releaseSlot = () => {
+    const next = slotWaiters.shift()
+    if (next) next()
+    else slotsInUse--
+  }
+  // Ordering barriers: the handshake in progress, every line sent so far, and
+  // every notification sent so far.
+  let handshake = Promise.resolve()
+  let allSent = Promise.resolve()
+  let notificationsSent = Promise.resolve()
+
+  /**
+   * Queue one stdin line, the way runProxy feeds the proxy. On top of the
+   * concurrency limit, ordering holds:
+   *  - after an initialize, nothing else goes out until its response has
+   *    been delivered, so `initialized` can never race `initialize`;
+   *  - a notification waits until every earlier line has been sent, so it
+   *    never overtakes what it refers to;
+   *  - a request waits for earlier notifications, but not for earlier
+   *    requests, which keeps tool calls concurrent;
+   *  - a client response (the host answering a server request) bypasses the
+   *    queue and the limit entirely, since a call in flight may be waiting
+   *    on it;
+   *  - a deletion the user must confirm joins the queue only once they have
+   *    answered.
+   */
+  const submit = (line) => {
+    const prepared = prepare(line)
+    if (!prepared) return Promise.resolve()
+    // The host's answers to server requests go straight out: the call that
+    // led to the request holds its slot until the answer reaches the server
+    if (prepared.messages.every(isResponse)) return forward(prepared)
+    // A deletion waits for the user's answer before it joins the queue, so
+    // the lines behind it are not held up while the form is open
+    if (prepared.messages.some(needsConfirmation)) {
+      return confirmDeletions(prepared).then((confirmed) => confirmed && enqueue(confirmed))
+    }
+    return enqueue(prepared)
+  }
+
+  // Take a prepared line's place in the ordering and wait for a slot
+  const enqueue = (prepared) => {
+    let markSent
+    const sent = new Promise((resolve) => {
+      markSent = resolve
+    })
+    const isNotification = prepared.requestIds.length === 0
+    const gate = prepared.isInitialize ? Promise.resolve() : handshake
+    const before = isNotification ? allSent : notificationsSent
+    allSent = Promise.all([allSent, sent])
+    if (isNotification) notificationsSent = Promise.all([notificationsSent, sent])
+
+    const task = Promise.all([gate, before])
+      .then(acquireSlot)
+      .then(() =>
+        forward(prepared, { onSent: markSent }).finally(() => {
+          markSent()
+          releaseSlot()
+        })
+      )
+    if (prepared.isInitialize) handshake = task.catch(() => {})
+    return task
+  }
+
+  /**
+   * Explicitly end the server-side session with a DELETE so it stops counting
+   * against the key's session quota. Bounded by a short timeout; a 405 just
+   * means the server does not let clients terminate sessions.
+   */
+  const endSession = async () => {
+    if (!sessionId) return
+    const headers = buildHeaders()
+    delete headers['Content-Type']
+    sessionId = null
+
+    const controller = new AbortController()
+    const timer = setTimeout(() => controller.abort(), SESSION_DELETE_TIMEOUT_MS)
+    try {
+      const response = await httpFetch(url, {
+        method: 'DELETE',
+        headers,
+        signal: controller.signal,
+      })
+      if (!response.ok && response.status !== 405) {
+        console.error(`Proxy: HTTP ${response.status} ending the MCP session`)
+      }
+    } catch (error) {
+      console.error(`Proxy: could not end the MCP session: ${error.message}`)
+    } finally {
+      clearTimeout(timer)
+    }
+  }
+
+  /**
+   * Stop the standalone GET stream, wait for its loop to wind down, then end
+   * the session. Safe to call more than once.
+   */
+  const close = () => {
+    if (!closing) {
+      closing = (async () => {
+        listenController?.abort()
+        await listening
+        await endSession()
+      })()
     }
+    return closing
   }
 
   return {
     handleLine,
+    submit,
+    close,
     getProtocolVersion: () => protocolVersion,
+    getSessionId: () => sessionId,
+  }
+}
+
+// Joins a graph alias and a tool name in multi-graph mode: `sec__execute-cypher`
+const GRAPH_TOOL_SEPARATOR = '__'
+// Ids of the requests the multi-graph proxy sends upstream on its own behalf
+const INTERNAL_ID_PREFIX = 'robosystems-multi-'
+
+/**
+ * A graph id as a tool-name prefix: hosts accept only [A-Za-z0-9_-] in names.
+ */
+export function graphAlias(graphId) {
+  return String(graphId).replace(/[^A-Za-z0-9_-]/g, '_')
+}
+
+/**
+ * One stdio server in front of several graph MCP endpoints. Each graph gets
+ * its own createProxy (and so its own session, retries and reconnects); this
+ * layer speaks to the host itself:
+ *
+ * - initialize is sent to every graph and answered once, with the graphs'
+ *   instructions combined under a heading per graph;
+ * - tools/list merges every graph's tools, named `<graph>__<tool>`;
+ * - tools/call is routed by that prefix to its graph, with the name restored,
+ *   and so are cancellations of it;
+ * - server-initiated requests are re-addressed (`<graph>:<id>`) so the host's
+ *   answer finds its way back to the graph that asked.
+ *
+ * `graphs` is a list of { alias, url, auth }. A graph whose initialize fails
+ * is left out of the session rather than failing it. Batches are refused:
+ * the protocol no longer has them and they cannot be split across graphs.
+ */
+export function createMultiGraphProxy({ graphs, output = process.stdout, version, ...options }) {
+  const write = (message) => output.write(JSON.stringify(message) + '\n')
+  const reply = (id, result) => write({ jsonrpc: '2.0', id, result })
+  const fail = (id, code, message) => write({ jsonrpc: '2.0', id, error: { code, message } })
+
+  let internalSeq = 0
+  const internal = new Map() // internal request id -> resolve
+  const callRoutes = new Map() // host request id -> alias, for cancellations
+  const serverRequests = new Map() // re-addressed id -> { alias, id }
+  let active = graphs.map((graph) => graph.alias)
+
+  // Everything a graph's proxy would have written to stdout lands here
+  const upstreamOutput = (alias) => ({
+    write(chunk) {
+      const parsed = JSON.parse(chunk)
+      for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (isResponse(message) && internal.has(message.id)) {
+          internal.get(message.id)(message)
+          internal.delete(message.id)
+        } else if (isResponse(message)) {
+          callRoutes.delete(message.id)
+          write(message)
+        } else if (isRequest(message)) {
+          const id = `${alias}:${message.id}`
+          serverRequests.set(id, { alias, id: message.id })
+          write({ ...message, id })
+        } else {
+          write(message)
+        }
+      }
+      return true
+    },
+  })
+
+  const upstreams = new Map(
+    graphs.map(({ alias, url, auth }) => [
+      alias,
+      createProxy({ ...options, url, version, auth, output: upstreamOutput(alias) }),
+    ])
+  )
+
+  const forward = (alias, message) => upstreams.get(alias).submit(JSON.stringify(message))
+  const broadcast = (message) => Promise.all(active.map((alias) => forward(alias, message)))
+
+  // A request of our own to one graph; resolves with its JSON-RPC response.
+  // Submitted synchronously so it keeps its place in that graph's queue.
+  const request = (alias, method, params) => {
+    const id = `${INTERNAL_ID_PREFIX}${++internalSeq}`
+    const answered = new Promise((resolve) => internal.set(id, resolve))
+    const sent = forward(alias, { jsonrpc: '2.0', id, method, params })
+    return Promise.race([
+      answered,
+      sent.then(() =>
+        internal.has(id) ? { error: { message: 'no response from the graph' } } : answered
+      ),
+    ])
+  }
+
+  const initialize = async (message) => {
+    const results = await Promise.all(
+      active.map((alias) => request(alias, 'initialize', message.params))
+    )
+    const joined = []
+    active = active.filter((alias, index) => {
+      if (results[index].error) {
+        console.error(`Proxy: graph ${alias} failed to initialize: ${results[index].error.message}`)
+        return false
+      }
+      joined.push({ alias, result: results[index].result })
+      return true
+    })
+    if (joined.length === 0) {
+      const error = results[0].error
+      return fail(message.id, error.code ?? JSONRPC_PROXY_ERROR, error.message)
+    }
+
+    const sections = joined
+      .filter(({ result }) => result.instructions)
+      .map(({ alias, result }) => `## Graph ${alias}\n\n${result.instructions}`)
+    reply(message.id, {
+      protocolVersion: joined[0].result.protocolVersion,
+      capabilities: { tools: { listChanged: true } },
+      serverInfo: { name: 'robosystems-multi-graph', version },
+      instructions: [
+        'This server fronts several RoboSystems graphs: ' +
+          joined.map(({ alias }) => alias).join(', ') +
+          `. Each tool name starts with the graph it acts on (<graph>${GRAPH_TOOL_SEPARATOR}<tool>).`,
+        ...sections,
+      ].join('\n\n'),
+    })
+  }
+
+  const listTools = async (message) => {
+    const perGraph = await Promise.all(
+      active.map(async (alias) => {
+        const tools = []
+        let cursor
+        do {
+          const response = await request(alias, 'tools/list', cursor ? { cursor } : {})
+          if (response.error) {
+            console.error(`Proxy: graph ${alias} failed to list tools: ${response.error.message}`)
+            break
+          }
+          for (const tool of response.result.tools || []) {
+            tools.push({
+              ...tool,
+              name: `${alias}${GRAPH_TOOL_SEPARATOR}${tool.name}`,
+              description: `[graph ${alias}] ${tool.description || ''}`.trim(),
+            })
+          }
+          cursor = response.result.nextCursor
+        } while (cursor)
+        return tools
+      })
+    )
+    reply(message.id, { tools: perGraph.flat() })
+  }
+
+  const callTool = (message) => {
+    const name = message.params?.name || ''
+    const alias = active.find((candidate) => name.startsWith(`${candidate}${GRAPH_TOOL_SEPARATOR}`))
+    if (!alias) return fail(message.id, JSONRPC_INVALID_PARAMS, `Unknown tool: ${name}`)
+    callRoutes.set(message.id, alias)
+    return forward(alias, {
+      ...message,
+      params: {
+        ...message.params,
+        name: name.slice(alias.length + GRAPH_TOOL_SEPARATOR.length),
+      },
+    })
+  }
+
+  const dispatch = (message) => {
+    if (isResponse(message)) {
+      const route = serverRequests.get(message.id)
+      serverRequests.delete(message.id)
+      if (route) return forward(route.alias, { ...message, id: route.id })
+      return undefined
+    }
+    switch (message?.method) {
+      case 'initialize':
+        return initialize(message)
+      case 'tools/list':
+        return listTools(message)
+      case 'tools/call':
+        return callTool(message)
+      case 'ping':
+        return isRequest(message) ? reply(message.id, {}) : undefined
+      case 'notifications/cancelled': {
+        const alias = callRoutes.get(message.params?.requestId)
+        return alias ? forward(alias, message) : undefined
+      }
+      default:
+        if (isRequest(message)) {
+          return fail(message.id, JSONRPC_METHOD_NOT_FOUND, `Method not found: ${message.method}`)
+        }
+        // Other notifications (initialized, roots changes) concern every graph
+        return broadcast(message)
+    }
+  }
+
+  const submit = async (line) => {
+    const raw = line.trim()
+    if (!raw) return
+    let message
+    try {
+      message = JSON.parse(raw)
+    } catch {
+      return fail(null, JSONRPC_PARSE_ERROR, 'Parse error: stdin line is not valid JSON')
+    }
+    if (Array.isArray(message)) {
+      return fail(null, JSONRPC_INVALID_REQUEST, 'Batches are not supported across several graphs')
+    }
+    await dispatch(message)
+  }
+
+  return {
+    handleLine: submit,
+    submit,
+    close: () => Promise.all([...upstreams.values()].map((upstream) => upstream.close())),
   }
 }
 
@@ -203,7 +1324,225 @@ export function redactUrl(url) {
 }
 
 /**
- * Run the proxy over real stdio until the host closes stdin.
+ * Copy of a request's headers with credential-bearing values replaced, for the
+ * same reason redactUrl exists: transcripts end up attached to bug reports.
+ */
+export function redactHeaders(headers = {}) {
+  const redacted = {}
+  for (const [name, value] of Object.entries(headers)) {
+    redacted[name] = SECRET_HEADERS.includes(name.toLowerCase()) ? '<redacted>' : value
+  }
+  return redacted
+}
+
+/**
+ * Open a wire-level transcript: a new timestamped JSONL file in `dir`
+ * (created if missing, readable only by the owner). Each line is one event —
+ * a stdin message, an outgoing HTTP request, its response status or failure,
+ * or a message relayed to stdout — stamped with `ts`. Writes are synchronous
+ * so the transcript survives the process being killed mid-session.
+ */
+export function createRecorder(dir, { now = () => new Date() } = {}) {
+  mkdirSync(dir, { recursive: true })
+  const stamp = now().toISOString().replace(/[:.]/g, '-')
+  const path = join(dir, `robosystems-mcp-${stamp}.jsonl`)
+  let fd = openSync(path, 'a', 0o600)
+
+  return {
+    path,
+    record(entry) {
+      if (fd === null) return
+      try {
+        writeSync(fd, JSON.stringify({ ts: now().toISOString(), ...entry }) + '\n')
+      } catch (error) {
+        console.error(`Recorder: could not write transcript: ${error.message}`)
+      }
+    },
+    close() {
+      if (fd === null) return
+      closeSync(fd)
+      fd = null
+    },
+  }
+}
+
+/**
+ * Wrap a fetch so every request and its outcome land in the transcript, with
+ * the URL and headers redacted. Requests are numbered so a response can be
+ * matched to the request it answers.
+ */
+function recordingFetch(fetchImpl, recorder) {
+  let seq = 0
+  return async (url, options = {}) => {
+    const id = ++seq
+    recorder.record({
+      type: 'request',
+      seq: id,
+      method: options.method || 'GET',
+      url: redactUrl(url),
+      headers: redactHeaders(options.headers),
+      ...(options.body !== undefined ? { body: options.body } : {}),
+    })
+    try {
+      const response = await fetchImpl(url, options)
+      const headers = {}
+      for (const name of RECORDED_RESPONSE_HEADERS) {
+        const value = response.headers?.get(name)
+        if (value) headers[name] = value
+      }
+      recorder.record({ type: 'response', seq: id, status: response.status, headers })
+      return response
+    } catch (error) {
+      recorder.record({ type: 'error', seq: id, error: error.message })
+      throw error
+    }
+  }
+}
+
+/**
+ * Read a transcript written by createRecorder. Blank lines are skipped; a
+ * malformed line fails loudly with its line number rather than replaying a
+ * silently truncated session.
+ */
+export function loadTranscript(path) {
+  const entries = []
+  readFileSync(path, 'utf8')
+    .split('\n')
+    .forEach((line, index) => {
+      if (!line.trim()) return
+      try {
+        entries.push(JSON.parse(line))
+      } catch {
+        throw new Error(`${path}:${index + 1}: not a transcript line`)
+      }
+    })
+  return entries
+}
+
+// Key a request by what it asks for, not by its id: `_meta` (progress tokens
+// and the like) is chosen per-session by the host, so it is ignored, and
+// object keys are sorted so argument order does not matter. initialize is
+// keyed by method alone: its params describe the host, and a transcript must
+// replay under a different host or host version.
+function replayKey(method, params) {
+  if (method === 'initialize') return method
+  const canonical = (value) => {
+    if (Array.isArray(value)) return value.map(canonical)
+    if (value && typeof value === 'object') {
+      return Object.fromEntries(
+        Object.keys(value)
+          .filter((key) => key !== '_meta')
+          .sort()
+          .map((key) => [key, canonical(value[key])])
+      )
+    }
+    return value
+  }
+  return `${method} ${JSON.stringify(canonical(params ?? {}))}`
+}
+
+/**
+ * A fetch that answers from a recorded transcript. Each recorded stdin
+ * request is paired with the stdout reply that carried its id (plus any
+ * progress notifications for its token); at replay time a request takes the
+ * next unused exchange with the same method and params, re-addressed to the
+ * new id and token. Once a key's recordings are used up, the last one repeats,
+ * so a host that polls tools/list keeps getting an answer. Anything never
+ * recorded gets a JSON-RPC error naming the method.
+ */
+function createReplayFetch(entries) {
+  const exchanges = new Map()
+  const open = new Map()
+  const messagesOf = (entry) => (Array.isArray(entry.message) ? entry.message : [entry.message])
+
+  for (const entry of entries) {
+    if (entry.type === 'stdin' && entry.message) {
+      for (const message of messagesOf(entry)) {
+        if (!isRequest(message)) continue
+        const exchange = {
+          token: message.params?._meta?.progressToken,
+          progress: [],
+          reply: null,
+        }
+        open.set(message.id, exchange)
+        const key = replayKey(message.method, message.params)
+        if (!exchanges.has(key)) exchanges.set(key, [])
+        exchanges.get(key).push(exchange)
+      }
+    } else if (entry.type === 'stdout' && entry.message) {
+      for (const message of messagesOf(entry)) {
+        if (isResponse(message)) {
+          const exchange = open.get(message.id)
+          if (exchange) exchange.reply = message
+          open.delete(message.id)
+        } else if (message?.method === 'notifications/progress') {
+          for (const exchange of open.values()) {
+            if (exchange.token !== undefined && exchange.token === message.params?.progressToken) {
+              exchange.progress.push(message)
+            }
+          }
+        }
+      }
+    }
+  }
+  const used = new Map()
+
+  const answer = (request) => {
+    const key = replayKey(request.method, request.params)
+    const recorded = (exchanges.get(key) || []).filter((exchange) => exchange.reply)
+    if (recorded.length === 0) {
+      return {
+        progress: [],
+        reply: {
+          jsonrpc: '2.0',
+          id: request.id,
+          error: {
+            code: JSONRPC_PROXY_ERROR,
+            message: `Replay: no recorded response for ${request.method}`,
+          },
+        },
+      }
+    }
+    const index = Math.min(used.get(key) || 0, recorded.length - 1)
+    used.set(key, index + 1)
+    const token = request.params?._meta?.progressToken
+    return {
+      progress:
+        token === undefined
+          ? []
+          : recorded[index].progress.map((notification) => ({
+              ...notification,
+              params: { ...notification.params, progressToken: token },
+            })),
+      reply: { ...recorded[index].reply, id: request.id },
+    }
+  }
+
+  const respond = (body, status = 200, contentType = 'application/json') =>
+    new Response(body, { status, headers: body === null ? {} : { 'content-type': contentType } })
+
+  return async (_url, { method = 'GET', body } = {}) => {
+    // No server stream to replay, and no session to end.
+    if (method === 'GET') return respond(null, 405)
+    if (method !== 'POST') return respond(null, 200)
+
+    const parsed = JSON.parse(body)
+    if (Array.isArray(parsed)) {
+      const replies = parsed.filter(isRequest).map((request) => answer(request).reply)
+      return replies.length > 0 ? respond(JSON.stringify(replies)) : respond(null, 202)
+    }
+    if (!isRequest(parsed)) return respond(null, 202)
+    const { progress, reply } = answer(parsed)
+    if (progress.length === 0) return respond(JSON.stringify(reply))
+    const events = [...progress, reply].map((message) => `data: ${JSON.stringify(message)}\n\n`)
+    return respond(events.join(''), 200, 'text/event-stream')
+  }
+}
+
+/**
+ * Run the proxy over real stdio until the host closes stdin or the process is
+ * told to stop (SIGINT/SIGTERM). Either way the session is ended on the
+ * server before this resolves.
  */
 export async function runProxy({
   url,
@@ -212,26 +1551,183 @@ export async function runProxy({
   input = process.stdin,
   output = process.stdout,
   fetchImpl = fetch,
+  requestTimeoutMs,
+  idleTimeoutMs,
+  maxRetries,
+  maxConcurrency,
+  recorder,
+  replay,
+  auth,
+  graphs,
+  toolFilter,
+  readOnly,
 }) {
-  const proxy = createProxy({ url, apiKey, version, output, fetchImpl })
+  const options = {
+    apiKey,
+    version,
+    output,
+    fetchImpl,
+    requestTimeoutMs,
+    idleTimeoutMs,
+    maxRetries,
+    maxConcurrency,
+    toolFilter,
+    readOnly,
+  }
+  // Several graphs go through the multi-graph front; recording and replay
+  // work on a single graph's session.
+  const proxy = graphs
+    ? createMultiGraphProxy({ ...options, graphs })
+    : createProxy({ ...options, url, recorder, replay, auth })
+  const signsIn = Boolean(auth || graphs?.some((graph) => graph.auth))
 
   console.error(`RoboSystems MCP proxy v${version}`)
-  console.error(`Forwarding stdio <-> ${redactUrl(url)}`)
-  if (!apiKey) {
+  if (replay) {
+    console.error(`Replaying a recorded session (${replay.length} events) — no network`)
+  } else if (graphs) {
+    for (const graph of graphs) {
+      console.error(`Forwarding graph ${graph.alias} <-> ${redactUrl(graph.url)}`)
+    }
+  } else {
+    console.error(`Forwarding stdio <-> ${redactUrl(url)}`)
+  }
+  if (!apiKey && !replay && !signsIn) {
     console.error(
       'No ROBOSYSTEMS_API_KEY set — forwarding without an X-API-Key header ' +
         '(fine only if the endpoint URL itself carries credentials)'
     )
   }
+  if (!apiKey && signsIn) {
+    console.error('No ROBOSYSTEMS_API_KEY set — signing in with OAuth if the server asks')
+  }
+  if (recorder && !graphs) {
+    console.error(`Recording traffic to ${recorder.path}`)
+  }
+  if (readOnly) {
+    console.error('Read-only mode: write queries and destructive tools are refused')
+  }
 
   const pending = new Set()
   const rl = createInterface({ input, terminal: false })
 
   rl.on('line', (line) => {
-    const task = proxy.handleLine(line).finally(() => pending.delete(task))
+    const task = proxy.submit(line).finally(() => pending.delete(task))
     pending.add(task)
   })
 
-  await new Promise((resolve) => rl.on('close', resolve))
-  await Promise.allSettled([...pending])
+  let signalled = false
+  const onSignal = (signal) => {
+    console.error(`Proxy: received ${signal}, shutting down`)
+    signalled = true
+    rl.close()
+  }
+  for (const signal of SHUTDOWN_SIGNALS) process.on(signal, onSignal)
+
+  try {
+    await new Promise((resolve) => rl.on('close', resolve))
+    // A closed stdin still wants its in-flight answers; a signal does not.
+    if (!signalled) await Promise.allSettled([...pending])
+  } finally {
+    for (const signal of SHUTDOWN_SIGNALS) process.off(signal, onSignal)
+    await proxy.close()
+    recorder?.close()
+  }
+}
+
+/**
+ * An MCP client session through the proxy, in-process and without an MCP
+ * host: the `tools` and `call` subcommands drive the server with it. Takes
+ * the same options as runProxy (a single `url`, or several `graphs`), opens
+ * the session with `initialize()` and ends it with `close()`. Progress and
+ * other notifications go to `onNotification`; requests the server sends
+ * (sampling, elicitation) are declined, since there is no host to ask.
+ */
+export function createProxyClient({
+  url,
+  graphs,
+  recorder,
+  replay,
+  auth,
+  onNotification = () => {},
+  ...options
+}) {
+  const pending = new Map() // request id -> { resolve, reject }
+  let nextId = 1
+
+  const output = {
+    write(chunk) {
+      const parsed = JSON.parse(chunk)
+      for (const message of Array.isArray(parsed) ? parsed : [parsed]) {
+        if (isResponse(message) && pending.has(message.id)) {
+          const { resolve, reject } = pending.get(message.id)
+          pending.delete(message.id)
+          if (message.error) {
+            const error = new Error(message.error.message)
+            error.code = message.error.code
+            reject(error)
+          } else {
+            resolve(message.result)
+          }
+        } else if (isRequest(message)) {
+          void proxy.submit(
+            JSON.stringify({
+              jsonrpc: '2.0',
+              id: message.id,
+              error: {
+                code: JSONRPC_METHOD_NOT_FOUND,
+                message: `${message.method} is not supported here`,
+              },
+            })
+          )
+        } else if (message.method) {
+          onNotification(message)
+        }
+      }
+      return true
+    },
+  }
+  const proxy = graphs
+    ? createMultiGraphProxy({ ...options, graphs, output, listen: false })
+    : createProxy({ ...options, url, recorder, replay, auth, output, listen: false })
+
+  const request = (method, params) => {
+    const id = nextId++
+    const answered = new Promise((resolve, reject) => pending.set(id, { resolve, reject }))
+    void proxy.submit(JSON.stringify({ jsonrpc: '2.0', id, method, params }))
+    return answered
+  }
+  const notify = (method, params) =>
+    proxy.submit(JSON.stringify({ jsonrpc: '2.0', method, params }))
+
+  return {
+    request,
+    async initialize() {
+      const result = await request('initialize', {
+        protocolVersion: '2025-06-18',
+        capabilities: {},
+        clientInfo: { name: 'robosystems-mcp-cli', version: options.version },
+      })
+      await notify('notifications/initialized')
+      return result
+    },
+    // Every page of the tool list
+    async listTools() {
+      const tools = []
+      let cursor
+      do {
+        const page = await request('tools/list', cursor ? { cursor } : undefined)
+        tools.push(...(page.tools || []))
+        cursor = page.nextCursor
+      } while (cursor)
+      return tools
+    },
+    callTool(name, args, { progressToken } = {}) {
+      return request('tools/call', {
+        name,
+        arguments: args,
+        ...(progressToken === undefined ? {} : { _meta: { progressToken } }),
+      })
+    },
+    close: () => proxy.close(),
+  }
 }
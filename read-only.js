@@ -0,0 +1,101 @@
+/**
+ * Read-only mode: refuse tool calls that would change a graph.
+ *
+ * With ROBOSYSTEMS_READ_ONLY (or a profile's `readOnly`), `execute-cypher`
+ * queries are checked for write clauses — CREATE, MERGE, DELETE, SET and the
+ * like — and the tools that create or delete workspaces and subgraphs are
+ * refused. Both modes answer a refused call with a tool error explaining why,
+ * so the assistant can rephrase rather than retry, and never forward it.
+ *
+ * The check is lexical: comments, string literals and backquoted names are
+ * blanked out first, so `MATCH (n {note: 'set aside'})` is still a read, and
+ * keywords used as property names, labels, map keys or parameters are not
+ * mistaken for clauses.
+ */
+
+const CYPHER_TOOL = 'execute-cypher'
+// Clauses that write data or change the schema
+const WRITE_CLAUSES = [
+  'CREATE',
+  'MERGE',
+  'DELETE',
+  'DETACH',
+  'SET',
+  'REMOVE',
+  'DROP',
+  'ALTER',
+  'COPY',
+  'FOREACH',
+  'INSTALL',
+  'IMPORT',
+  'LOAD\\s+EXTENSION',
+]
+const WRITE_PATTERN = new RegExp(`(?<![\\w.$:])(${WRITE_CLAUSES.join('|')})(?![\\w])(?!\\s*:)`, 'i')
+// Tools that create or delete graphs, workspaces and subgraphs
+const MUTATING_TOOLS = ['create-workspace', 'delete-workspace', 'create-subgraph']
+const MUTATING_TOOL_PATTERN = /^(delete|drop)-/
+
+/**
+ * `query` with comments, string literals and backquoted identifiers replaced
+ * by spaces, so only the statement's own keywords are left to inspect.
+ */
+export function stripCypherLiterals(query) {
+  let out = ''
+  let i = 0
+  while (i < query.length) {
+    const char = query[i]
+    const next = query[i + 1]
+    let end = -1
+    if (char === '/' && next === '/') {
+      end = query.indexOf('\n', i)
+      if (end === -1) end = query.length
+    } else if (char === '/' && next === '*') {
+      end = query.indexOf('*/', i + 2)
+      end = end === -1 ? query.length : end + 2
+    } else if (char === "'" || char === '"' || char === '`') {
+      end = i + 1
+      while (end < query.length && query[end] !== char) {
+        // A backslash escapes the next character inside a string
+        end += query[end] === '\\' && char !== '`' ? 2 : 1
+      }
+      end = Math.min(end + 1, query.length)
+    }
+    if (end === -1) {
+      out += char
+      i++
+    } else {
+      out += ' '.repeat(end - i)
+      i = end
+    }
+  }
+  return out
+}
+
+/**
+ * The first write clause in a Cypher query (upper-cased, e.g. "MERGE"), or
+ * null for a read-only query.
+ */
+export function findCypherWrite(query) {
+  const match = WRITE_PATTERN.exec(stripCypherLiterals(String(query ?? '')))
+  return match ? match[1].replace(/\s+/g, ' ').toUpperCase() : null
+}
+
+/**
+ * Why read-only mode refuses calling `name` with `args`, or null when the
+ * call only reads.
+ */
+export function readOnlyRefusal(name, args) {
+  if (MUTATING_TOOLS.includes(name) || MUTATING_TOOL_PATTERN.test(name)) {
+    return `Refused: ${name} changes data, and this client is in read-only mode.`
+  }
+  if (name === CYPHER_TOOL) {
+    const clause = findCypherWrite(args?.query)
+    if (clause) {
+      return (
+        `Refused: the query uses ${clause}, which writes to the graph, and this client is in ` +
+        'read-only mode. Only read queries (MATCH ... RETURN) can be run.'
+      )
+    }
+  }
+  return null
+}
@@ -0,0 +1,63 @@
+/**
+ * Tests for read-only mode's write detection
+ */
+
+import { describe, it, expect } from 'vitest'
+import { findCypherWrite, readOnlyRefusal, stripCypherLiterals } from './read-only.js'
+
+describe('stripCypherLiterals', () => {
+  it('blanks comments, strings and backquoted names, keeping positions', () => {
+    const query = "MATCH (n) // set\nWHERE n.a = 'it''s' AND n.`delete` = \"x\\\"y\" /* merge */"
+    const stripped = stripCypherLiterals(query)
+
+    expect(stripped).toHaveLength(query.length)
+    expect(stripped).not.toMatch(/set|delete|merge|x|y/)
+    expect(stripped).toMatch(/^MATCH \(n\)/)
+  })
+})
+
+describe('findCypherWrite', () => {
+  it('finds write clauses in any case', () => {
+    expect(findCypherWrite('CREATE (n:Entity)')).toBe('CREATE')
+    expect(findCypherWrite('match (n) detach delete n')).toBe('DETACH')
+    expect(findCypherWrite('MATCH (n) SET n.x = 1')).toBe('SET')
+    expect(findCypherWrite('MATCH (a), (b) MERGE (a)-[:R]->(b)')).toBe('MERGE')
+    expect(findCypherWrite('LOAD  EXTENSION json')).toBe('LOAD EXTENSION')
+    expect(findCypherWrite('DROP TABLE Entity')).toBe('DROP')
+  })
+
+  it('passes read queries', () => {
+    expect(findCypherWrite('MATCH (n) RETURN n LIMIT 5')).toBeNull()
+    expect(findCypherWrite('CALL show_tables() RETURN *')).toBeNull()
+    expect(findCypherWrite('')).toBeNull()
+    expect(findCypherWrite(undefined)).toBeNull()
+  })
+
+  it('ignores keywords in literals, comments, properties, labels, keys and parameters', () => {
+    expect(findCypherWrite("MATCH (n {note: 'set aside'}) RETURN n")).toBeNull()
+    expect(findCypherWrite('MATCH (n) RETURN n // then delete it')).toBeNull()
+    expect(findCypherWrite('MATCH (n) RETURN n.set, n.`create`')).toBeNull()
+    expect(findCypherWrite('MATCH (n:Merge) RETURN n')).toBeNull()
+    expect(findCypherWrite('RETURN {delete: 1, set : 2}')).toBeNull()
+    expect(findCypherWrite('MATCH (n) WHERE n.id = $remove RETURN n')).toBeNull()
+    expect(findCypherWrite('MATCH (n) RETURN n.offset AS created_at')).toBeNull()
+  })
+})
+
+describe('readOnlyRefusal', () => {
+  it('refuses destructive tools', () => {
+    expect(readOnlyRefusal('delete-subgraph', {})).toMatch(/delete-subgraph changes data/)
+    expect(readOnlyRefusal('create-workspace', {})).toMatch(/read-only mode/)
+    expect(readOnlyRefusal('drop-table', {})).not.toBeNull()
+  })
+
+  it('refuses write queries and names the clause', () => {
+    expect(readOnlyRefusal('execute-cypher', { query: 'CREATE (n)' })).toMatch(/uses CREATE/)
+  })
+
+  it('allows reads and other tools', () => {
+    expect(readOnlyRefusal('execute-cypher', { query: 'MATCH (n) RETURN n' })).toBeNull()
+    expect(readOnlyRefusal('get-graph-schema', {})).toBeNull()
+    expect(readOnlyRefusal('switch-workspace', { workspace_id: 'x' })).toBeNull()
+  })
+})
@@ -0,0 +1,294 @@
+/**
+ * The `repl` subcommand: an interactive shell for exploring a graph.
+ *
+ * Keeps one session open (the same sessions `tools` and `call` use) and reads
+ * tool calls from the terminal:
+ *
+ *   kg1> get-graph-info
+ *   kg1> execute-cypher MATCH (c:Entity)
+ *   ...> RETURN c.name LIMIT 5;
+ *   kg1> execute-cypher query="MATCH (n) RETURN count(n)"
+ *   kg1> some-tool {"key": "value"}
+ *
+ * Arguments are `key=value` pairs (values that parse as JSON are taken as
+ * JSON, anything else as a string) or a single JSON object. Tab completes
+ * tool names and then the tool's argument keys from its input schema. The
+ * Cypher tool takes its query as free text, over as many lines as needed,
+ * ended by `;`. History is kept per graph.
+ */
+
+import { mkdirSync, readFileSync, writeFileSync } from 'fs'
+import { homedir } from 'os'
+import { dirname, join } from 'path'
+import { createInterface } from 'readline'
+import { formatResult, formatTools, parseToolArgs } from './cli.js'
+
+export const DEFAULT_HISTORY_DIR = join(homedir(), '.config', 'robosystems-mcp', 'history')
+
+const HISTORY_SIZE = 1000
+const CYPHER_TOOL = 'execute-cypher'
+const COMMANDS = ['.help', '.tools', '.describe', '.exit']
+const HELP = [
+  '<tool> key=value ...    call a tool (values are JSON or plain strings)',
+  '<tool> {"key": ...}     call a tool with a JSON object of arguments',
+  `${CYPHER_TOOL} <query>;  run Cypher; the query may span lines and ends with ;`,
+  '.tools                  list the tools',
+  '.describe <tool>        show a tool and its arguments',
+  '.exit                   leave (or Ctrl+D)',
+].join('\n')
+
+// The Cypher tool, also under a multi-graph proxy's `<graph>__` prefix
+function isCypherTool(name) {
+  return name === CYPHER_TOOL || name.endsWith(`__${CYPHER_TOOL}`)
+}
+
+/**
+ * Split a line into words on whitespace, keeping quoted strings and JSON
+ * objects or arrays (which may contain spaces) together. Unterminated quotes
+ * or brackets run to the end of the line.
+ */
+export function splitWords(line) {
+  const words = []
+  let word = ''
+  let quote = null
+  let depth = 0
+  for (const char of line) {
+    if (quote) {
+      if (char === quote) quote = null
+    } else if (char === '"' || char === "'") {
+      quote = char
+    } else if (char === '{' || char === '[') {
+      depth++
+    } else if ((char === '}' || char === ']') && depth > 0) {
+      depth--
+    } else if (/\s/.test(char) && depth === 0) {
+      if (word) words.push(word)
+      word = ''
+      continue
+    }
+    word += char
+  }
+  if (word) words.push(word)
+  return words
+}
+
+// A `key=value` value: single-quoted is a string, otherwise JSON when it
+// parses (so "text", 5, true and {...} work) and the raw text when not
+function parseValue(raw) {
+  if (raw.length >= 2 && raw.startsWith("'") && raw.endsWith("'")) return raw.slice(1, -1)
+  try {
+    return JSON.parse(raw)
+  } catch {
+    return raw
+  }
+}
+
+// Whether the text after a tool name is arguments rather than a Cypher query
+function looksLikeArgs(rest) {
+  return rest === '' || rest.startsWith('{') || /^[A-Za-z_][\w-]*=/.test(rest)
+}
+
+/**
+ * Parse one entered line: `{ command, arg }` for a dot-command, or
+ * `{ tool, args, query }` for a tool call, where `query` is the start of a
+ * Cypher query still to be completed (null when the call is complete).
+ * Throws on malformed arguments.
+ */
+export function parseLine(line) {
+  const trimmed = line.trim()
+  if (trimmed.startsWith('.')) {
+    const [command, ...rest] = trimmed.split(/\s+/)
+    return { command, arg: rest.join(' ') }
+  }
+  const tool = trimmed.split(/\s/, 1)[0]
+  const rest = trimmed.slice(tool.length).trim()
+
+  if (isCypherTool(tool) && !looksLikeArgs(rest)) {
+    return { tool, args: {}, query: rest }
+  }
+  let args = {}
+  if (rest.startsWith('{')) {
+    args = parseToolArgs(rest)
+  } else {
+    for (const word of splitWords(rest)) {
+      const match = /^([A-Za-z_][\w-]*)=(.*)$/s.exec(word)
+      if (!match) throw new Error(`expected key=value, got "${word}"`)
+      args[match[1]] = parseValue(match[2])
+    }
+  }
+  // The Cypher tool without a query reads one from the following lines
+  const query = isCypherTool(tool) && args.query === undefined ? '' : null
+  return { tool, args, query }
+}
+
+/**
+ * Tab completion against the current tool list, in readline's
+ * `[completions, substring]` form: tool names and dot-commands for the first
+ * word, then the tool's argument keys not given yet.
+ */
+export function completeLine(line, tools) {
+  const words = splitWords(line)
+  const partial = /\s$/.test(line) || words.length === 0 ? '' : words[words.length - 1]
+
+  if (words.length === 0 || (words.length === 1 && partial)) {
+    const names = [...tools.map((tool) => tool.name), ...COMMANDS]
+    return [names.filter((name) => name.startsWith(partial)), partial]
+  }
+  if (words[0] === '.describe') {
+    const names = tools.map((tool) => tool.name)
+    return [names.filter((name) => name.startsWith(partial)), partial]
+  }
+  const tool = tools.find((candidate) => candidate.name === words[0])
+  if (!tool || partial.includes('=')) return [[], partial]
+  const given = new Set(words.map((word) => word.split('=', 1)[0]))
+  const keys = Object.keys(tool.inputSchema?.properties || {})
+    .filter((key) => !given.has(key) && key.startsWith(partial))
+    .map((key) => `${key}=`)
+  return [keys, partial]
+}
+
+// History is stored oldest first; readline keeps it newest first
+function loadHistory(path) {
+  try {
+    return readFileSync(path, 'utf8').split('\n').filter(Boolean).reverse().slice(0, HISTORY_SIZE)
+  } catch {
+    return []
+  }
+}
+
+function saveHistory(path, history) {
+  try {
+    mkdirSync(dirname(path), { recursive: true, mode: 0o700 })
+    // Queries can hold data worth keeping private, like the credentials file
+    writeFileSync(path, [...history].reverse().join('\n') + '\n', { mode: 0o600 })
+  } catch (error) {
+    console.error(`Could not save history to ${path}: ${error.message}`)
+  }
+}
+
+/**
+ * Run the shell until `.exit` or the end of input. `session` is a CLI session
+ * (see cli.js); `prompt` names the graph; `historyPath` is the history file
+ * for this graph. Returns the process exit code.
+ */
+export async function runRepl({
+  session,
+  prompt = 'robosystems',
+  historyPath,
+  input = process.stdin,
+  output = process.stdout,
+}) {
+  try {
+    await session.initialize()
+  } catch (error) {
+    console.error(`Could not open a session: ${error.message}`)
+    await session.close()
+    return 1
+  }
+
+  let tools = []
+  const loadTools = async () => {
+    try {
+      tools = await session.listTools()
+    } catch (error) {
+      console.error(`Listing tools failed: ${error.message}`)
+    }
+  }
+  await loadTools()
+
+  const terminal = Boolean(input.isTTY && output.isTTY)
+  const rl = createInterface({
+    input,
+    output,
+    terminal,
+    history: historyPath ? loadHistory(historyPath) : [],
+    historySize: HISTORY_SIZE,
+    removeHistoryDuplicates: true,
+    completer: (line) => completeLine(line, tools),
+  })
+  const mainPrompt = `${prompt}> `
+  const continuationPrompt = `${'.'.repeat(Math.max(prompt.length, 3))}> `
+  const print = (text) => output.write(`${text}\n`)
+
+  // A Cypher call waiting for the rest of its query
+  let pending = null
+  rl.on('SIGINT', () => {
+    if (pending) {
+      pending = null
+      print('(query cancelled)')
+    } else {
+      print('(to leave, press Ctrl+D or type .exit)')
+    }
+    rl.setPrompt(mainPrompt)
+    rl.prompt()
+  })
+
+  const call = async (tool, args) => {
+    if (!tools.some((candidate) => candidate.name === tool)) await loadTools()
+    try {
+      const result = await session.callTool(tool, args, { progressToken: 1 })
+      if (result?.isError) console.error(formatResult(result))
+      else print(formatResult(result))
+    } catch (error) {
+      console.error(`${tool} failed: ${error.message}`)
+    }
+  }
+
+  // Everything but .exit, which ends the loop below
+  const run = async (parsed) => {
+    switch (parsed?.command) {
+      case undefined:
+        if (!parsed) return
+        if (parsed.query !== null) pending = parsed
+        else await call(parsed.tool, parsed.args)
+        return
+      case '.help':
+        print(HELP)
+        return
+      case '.tools':
+        await loadTools()
+        print(tools.map((tool) => tool.name).join('\n'))
+        return
+      case '.describe': {
+        const tool = tools.find((candidate) => candidate.name === parsed.arg)
+        if (tool) print(formatTools([tool]))
+        else console.error(`Unknown tool: ${parsed.arg || '(none given)'}`)
+        return
+      }
+      default:
+        console.error(`Unknown command ${parsed.command}; .help lists them`)
+    }
+  }
+
+  print(`Connected. ${tools.length} tools; .help for help, Tab to complete.`)
+  rl.setPrompt(mainPrompt)
+  rl.prompt()
+
+  for await (const line of rl) {
+    if (pending) {
+      pending.query += (pending.query ? '\n' : '') + line
+    } else if (line.trim()) {
+      let parsed
+      try {
+        parsed = parseLine(line)
+      } catch (error) {
+        console.error(error.message)
+      }
+      if (parsed?.command === '.exit') break
+      await run(parsed)
+    }
+    if (pending && /;\s*$/.test(pending.query)) {
+      const { tool, args, query } = pending
+      pending = null
+      await call(tool, { ...args, query: query.replace(/;\s*$/, '').trim() })
+    }
+    rl.setPrompt(pending ? continuationPrompt : mainPrompt)
+    rl.prompt()
+  }
+
+  // readline only keeps history for a terminal
+  if (historyPath && terminal) saveHistory(historyPath, rl.history)
+  rl.close()
+  await session.close()
+  return 0
+}
@@ -0,0 +1,160 @@
+// @vitest-environment node
+
+/**
+ * Tests for the interactive shell
+ */
+
+import { describe, it, expect, vi, beforeEach, afterEach } from 'vitest'
+import { mkdtempSync, readFileSync, rmSync, statSync } from 'fs'
+import { tmpdir } from 'os'
+import { join } from 'path'
+import { PassThrough, Readable } from 'stream'
+import { completeLine, parseLine, runRepl, splitWords } from './repl.js'
+
+const TOOLS = [
+  {
+    name: 'execute-cypher',
+    inputSchema: { properties: { query: { type: 'string' }, parameters: { type: 'object' } } },
+  },
+  { name: 'get-graph-info', inputSchema: { properties: {} } },
+]
+
+function fakeSession() {
+  return {
+    initialize: vi.fn(async () => {}),
+    listTools: vi.fn(async () => TOOLS),
+    callTool: vi.fn(async (name) => ({ content: [{ type: 'text', text: `${name} ok` }] })),
+    close: vi.fn(async () => {}),
+  }
+}
+
+function collect() {
+  const output = new PassThrough()
+  let text = ''
+  output.on('data', (chunk) => (text += chunk))
+  return { output, text: () => text }
+}
+
+describe('repl', () => {
+  beforeEach(() => {
+    vi.spyOn(console, 'error').mockImplementation(() => {})
+  })
+
+  afterEach(() => {
+    console.error.mockRestore()
+  })
+
+  describe('parsing', () => {
+    it('splits words but keeps quoted strings and JSON together', () => {
+      expect(splitWords(`a=1 b="x y" c={"d": [1, 2]} e='f g'`)).toEqual([
+        'a=1',
+        'b="x y"',
+        'c={"d": [1, 2]}',
+        "e='f g'",
+      ])
+    })
+
+    it('reads key=value pairs as JSON when they parse and strings otherwise', () => {
+      expect(parseLine(`tool n=5 flag=true name=acme q="a b" s='c d' o={"x": 1}`)).toEqual({
+        tool: 'tool',
+        args: { n: 5, flag: true, name: 'acme', q: 'a b', s: 'c d', o: { x: 1 } },
+        query: null,
+      })
+      expect(parseLine('tool {"n": 5}').args).toEqual({ n: 5 })
+      expect(() => parseLine('tool oops')).toThrow(/expected key=value, got "oops"/)
+    })
+
+    it('takes free text after the Cypher tool as the start of a query', () => {
+      expect(parseLine('execute-cypher MATCH (n)')).toEqual({
+        tool: 'execute-cypher',
+        args: {},
+        query: 'MATCH (n)',
+      })
+      expect(parseLine('kg1__execute-cypher parameters={"x": 1}')).toEqual({
+        tool: 'kg1__execute-cypher',
+        args: { parameters: { x: 1 } },
+        query: '',
+      })
+      expect(parseLine('execute-cypher query="RETURN 1"').query).toBeNull()
+    })
+
+    it('parses dot-commands', () => {
+      expect(parseLine('.describe execute-cypher')).toEqual({
+        command: '.describe',
+        arg: 'execute-cypher',
+      })
+    })
+  })
+
+  describe('completeLine', () => {
+    it('completes tool names, then the argument keys not yet given', () => {
+      expect(completeLine('exe', TOOLS)).toEqual([['execute-cypher'], 'exe'])
+      expect(completeLine('.d', TOOLS)).toEqual([['.describe'], '.d'])
+      expect(completeLine('execute-cypher ', TOOLS)).toEqual([['query=', 'parameters='], ''])
+      expect(completeLine('execute-cypher query="x" p', TOOLS)).toEqual([['parameters='], 'p'])
+      expect(completeLine('execute-cypher query=', TOOLS)).toEqual([[], 'query='])
+    })
+  })
+
+  describe('runRepl', () => {
+    it('runs calls, a multi-line Cypher query and commands until .exit', async () => {
+      const session = fakeSession()
+      const { output, text } = collect()
+      const input = Readable.from([
+        'get-graph-info\n',
+        'execute-cypher MATCH (n)\n',
+        'RETURN n\n',
+        'LIMIT 5;\n',
+        '.describe get-graph-info\n',
+        '.exit\n',
+        'get-graph-info\n',
+      ])
+
+      const code = await runRepl({ session, prompt: 'kg1', input, output })
+
+      expect(code).toBe(0)
+      expect(session.callTool.mock.calls).toEqual([
+        ['get-graph-info', {}, { progressToken: 1 }],
+        ['execute-cypher', { query: 'MATCH (n)\nRETURN n\nLIMIT 5' }, { progressToken: 1 }],
+      ])
+      expect(text()).toContain('kg1> ')
+      expect(text()).toContain('...> ')
+      expect(text()).toContain('(no arguments)')
+      expect(session.close).toHaveBeenCalled()
+    })
+
+    it('keeps a private history file per graph in a terminal', async () => {
+      const dir = mkdtempSync(join(tmpdir(), 'robosystems-repl-'))
+      const historyPath = join(dir, 'history', 'kg1.history')
+      try {
+        const input = new PassThrough()
+        input.isTTY = true
+        input.setRawMode = () => input
+        const { output } = collect()
+        output.isTTY = true
+        output.columns = 80
+
+        const done = runRepl({ session: fakeSession(), prompt: 'kg1', historyPath, input, output })
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        input.write('get-graph-info\r')
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        input.write('.tools\r')
+        await new Promise((resolve) => setTimeout(resolve, 20))
+        input.end()
+        await done
+
+        expect(readFileSync(historyPath, 'utf8')).toBe('get-graph-info\n.tools\n')
+        expect(statSync(historyPath).mode & 0o777).toBe(0o600)
+      } finally {
+        rmSync(dir, { recursive: true, force: true })
+      }
+    })
+
+    it('fails when the session cannot be opened', async () => {
+      const session = { ...fakeSession(), initialize: async () => Promise.reject(new Error('401')) }
+
+      expect(await runRepl({ session, input: Readable.from([]), output: collect().output })).toBe(1)
+      expect(session.close).toHaveBeenCalled()
+    })
+  })
+})
@@ -0,0 +1,55 @@
+/**
+ * Allow and deny patterns for the tools an assistant may see and call.
+ *
+ * A deployment can hide tools (say `delete-subgraph`, or `execute-cypher`
+ * for analysts) with ROBOSYSTEMS_DENY_TOOLS, or expose only some with
+ * ROBOSYSTEMS_ALLOW_TOOLS (both comma-separated, or lists in a profile's
+ * `denyTools` / `allowTools`). Patterns match whole tool names, with `*` for
+ * any run of characters and `?` for one: `get-*`, `*-subgraph`. A tool must
+ * match an allow pattern (when there are any) and no deny pattern; deny wins.
+ * Both modes list only permitted tools and refuse calls to the others
+ * locally, without contacting the server.
+ */
+
+// A pattern list from a profile (array) or a variable (comma-separated)
+function patternList(value) {
+  return (Array.isArray(value) ? value : String(value ?? '').split(','))
+    .map((pattern) => String(pattern).trim())
+    .filter(Boolean)
+}
+
+function patternToRegExp(pattern) {
+  const source = pattern
+    .split('')
+    .map((char) => {
+      if (char === '*') return '.*'
+      if (char === '?') return '.'
+      return char.replace(/[.+^${}()|[\]\\]/g, '\\$&')
+    })
+    .join('')
+  return new RegExp(`^${source}$`)
+}
+
+/**
+ * A filter for the given patterns, or null when there are none (every tool
+ * allowed), so callers can skip filtering entirely.
+ */
+export function createToolFilter({ allow, deny } = {}) {
+  const allowed = patternList(allow).map(patternToRegExp)
+  const denied = patternList(deny).map(patternToRegExp)
+  if (allowed.length === 0 && denied.length === 0) return null
+
+  const allows = (name) =>
+    typeof name === 'string' &&
+    (allowed.length === 0 || allowed.some((pattern) => pattern.test(name))) &&
+    !denied.some((pattern) => pattern.test(name))
+
+  return {
+    allows,
+    // A tools/list result's `tools`, minus those not allowed
+    filterTools: (tools) =>
+      Array.isArray(tools) ? tools.filter((tool) => allows(tool?.name)) : tools,
+    // Error message for a call to a tool that is not allowed
+    refusal: (name) => `Tool ${name} is not available: it is blocked by this client's tool filter`,
+  }
+}
@@ -0,0 +1,42 @@
+/**
+ * Tests for tool allow/deny patterns
+ */
+
+import { describe, it, expect } from 'vitest'
+import { createToolFilter } from './tool-filter.js'
+
+describe('createToolFilter', () => {
+  it('is null without patterns, so everything is allowed', () => {
+    expect(createToolFilter()).toBeNull()
+    expect(createToolFilter({ allow: '', deny: ' , ' })).toBeNull()
+  })
+
+  it('matches whole names with * and ?', () => {
+    const filter = createToolFilter({ deny: 'delete-*,get-graph-?nfo' })
+
+    expect(filter.allows('delete-subgraph')).toBe(false)
+    expect(filter.allows('get-graph-info')).toBe(false)
+    expect(filter.allows('undelete-subgraph')).toBe(true)
+    expect(filter.allows('execute-cypher')).toBe(true)
+  })
+
+  it('lets deny patterns win over allow patterns', () => {
+    const filter = createToolFilter({ allow: ['get-*', 'execute-cypher'], deny: ['get-secrets'] })
+
+    expect(filter.allows('get-graph-info')).toBe(true)
+    expect(filter.allows('execute-cypher')).toBe(true)
+    expect(filter.allows('get-secrets')).toBe(false)
+    expect(filter.allows('create-subgraph')).toBe(false)
+    expect(filter.allows(undefined)).toBe(false)
+  })
+
+  it('filters a tool list', () => {
+    const filter = createToolFilter({ deny: '*-subgraph' })
+
+    expect(
+      filter
+        .filterTools([{ name: 'create-subgraph' }, { name: 'execute-cypher' }])
+        .map((t) => t.name)
+    ).toEqual(['execute-cypher'])
+  })
+})